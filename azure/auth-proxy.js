@@ -1,21 +1,73 @@
+const crypto = require("crypto");
+
+// XSTS XErr codes -> stable error codes the frontend can explain to the user
+const XSTS_ERRORS = {
+    2148916227: "xbox_account_banned",
+    2148916233: "xbox_profile_missing",
+    2148916235: "xbox_country_unavailable",
+    2148916236: "xbox_adult_verification_required",
+    2148916237: "xbox_adult_verification_required",
+    2148916238: "xbox_child_account_requires_family"
+};
+
+// Login step failures returned to the frontend as-is (any other 500 is returned as login_failed)
+const LOGIN_STEP_ERRORS = [
+    "email_token_retrieval_failed",
+    "xbl_token_retrieval_failed",
+    "email_retrieval_failed",
+    "xbl_retrieval_failed",
+    "xsts_retrieval_failed",
+    "minecraft_token_retrieval_failed",
+    "minecraft_entitlements_retrieval_failed",
+    "entitlement_verification_unavailable",
+    "minecraft_profile_retrieval_failed",
+    "refresh_token_generation_failed"
+];
+
+// Signed entitlement names -> how the account owns Minecraft: Java Edition
+const OWNERSHIP_SOURCES = {
+    "product_minecraft": "purchase",
+    "game_minecraft": "purchase",
+    "product_game_pass_pc": "game_pass",
+    "product_game_pass_ultimate": "game_pass"
+};
+
+// Login session (state + PKCE code_verifier) lifetime in seconds
+const LOGIN_SESSION_EXPIRY_SECONDS = 600;
+
+// Outbound call policy per step: timeout (ms) and retries (only for idempotent calls)
+// The auth code is single-use and auth-gateway creates a session per call, so neither is retried.
+const STEP_POLICIES = {
+    auth_code: { timeoutMs: 8000, retries: 0 },
+    xbl_refresh: { timeoutMs: 8000, retries: 2 },
+    graph_email: { timeoutMs: 5000, retries: 2 },
+    xbl: { timeoutMs: 5000, retries: 2 },
+    xsts: { timeoutMs: 5000, retries: 2 },
+    minecraft_login: { timeoutMs: 8000, retries: 2 },
+    entitlements: { timeoutMs: 5000, retries: 2 },
+    profile: { timeoutMs: 5000, retries: 2 },
+    auth_gateway: { timeoutMs: 5000, retries: 0 }
+};
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRY_BASE_DELAY_MS = 250;
+const MAX_RETRY_DELAY_MS = 3000; // Retry-After beyond this fails the login instead of hanging it
+
+// HTTP client used for every outbound call (replace with setHttpClient to test against local fakes)
+let httpClient = createHttpClient(fetch);
+
 module.exports = async function (context, req) {
-    // CORS for browser
-    const CORS_HEADERS = {
-        "Access-Control-Allow-Origin": "https://www.packsyncr.com",
-        "Access-Control-Allow-Methods": "POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type",
-        "Access-Control-Allow-Credentials": "true"
-    };
+    // CORS for browser (echo the origin if it is in CORS_ALLOWED_ORIGINS)
+    const CORS_HEADERS = getCorsHeaders(req);
 
     // CORS preflight
     if (req.method === "OPTIONS") {
         context.res = {
-            status: 204,
+            status: CORS_HEADERS["Access-Control-Allow-Origin"] ? 204 : 403,
             headers: {
-                "Access-Control-Allow-Origin": "https://www.packsyncr.com",
+                ...CORS_HEADERS,
                 "Access-Control-Allow-Methods": "POST, OPTIONS",
                 "Access-Control-Allow-Headers": "Content-Type",
-                "Access-Control-Allow-Credentials": "true"
+                "Access-Control-Max-Age": "600"
             }
         };
         return;
@@ -31,7 +83,35 @@ module.exports = async function (context, req) {
     }
 
     try {
-        const { code } = req.body;
+        // Start a login: issue the state/verifier pair and the Microsoft authorization URL
+        if (req.body && req.body.action === "start") {
+            const { authorizationUrl, state, loginSession } = startLogin();
+            context.res = {
+                status: 200,
+                headers: {
+                    ...CORS_HEADERS,
+                    "Content-Type": "application/json"
+                },
+                cookies: [
+                    {
+                        name: "login_session",
+                        value: loginSession,
+                        httpOnly: true,
+                        secure: true,
+                        sameSite: "None",
+                        path: "/",
+                        maxAge: LOGIN_SESSION_EXPIRY_SECONDS
+                    }
+                ],
+                body: {
+                    authorization_url: authorizationUrl,
+                    state: state
+                }
+            };
+            return;
+        }
+
+        const { code, state, device_label } = req.body || {};
         if (!code) {
             context.res = {
                 status: 400,
@@ -41,8 +121,11 @@ module.exports = async function (context, req) {
             return;
         }
 
+        // Step 0: Check the code belongs to a login we started (state + PKCE verifier)
+        const codeVerifier = verifyLoginSession(req.headers.cookie, state);
+
         // Step 1: Get access tokens
-        const { emailAccessToken, xblAccessToken } = await exchangeAuthCodeForTokens(code);
+        const { emailAccessToken, xblAccessToken } = await exchangeAuthCodeForTokens(code, codeVerifier);
 
         // Step 2: Get Microsoft email
         const email = await getMsEmail(emailAccessToken);
@@ -57,15 +140,21 @@ module.exports = async function (context, req) {
         const mcAccessToken = await xstsToMc(xstsToken, uhs);
 
         // Step 6: Verify Minecraft ownership
-        const hasOwnership = await verifyMinecraftOwnership(mcAccessToken);
+        const ownership = await verifyMinecraftOwnership(context, mcAccessToken);
 
         // Step 7: Get Minecraft profile!!!
         const mcProfile = await getMcProfile(mcAccessToken);
 
         // Step 8: Call auth-gateway Cloudflare Worker
-        const { refreshToken, isNewUser } = await getRefreshToken(email, mcProfile);
+        const device = {
+            deviceLabel: typeof device_label === "string" ? device_label : undefined,
+            userAgent: req.headers["user-agent"],
+            ip: getClientIp(req),
+            country: getClientCountry(req)
+        };
+        const { refreshToken, csrfToken, isNewUser, profileUpdated } = await getRefreshToken(email, mcProfile, device, ownership);
 
-        // Step 9: Return refresh token and uuid as cookies
+        // Step 9: Return refresh token and uuid as cookies, with the CSRF token the frontend echoes to /access-token
         context.res = {
             status: 200,
             headers: {
@@ -92,28 +181,150 @@ module.exports = async function (context, req) {
                     domain: ".packsyncr.com",
                     path: "/access-token",
                     maxAge: parseInt(process.env.REFRESH_TOKEN_EXPIRY_SECONDS, 10) || 15552000
+                },
+                {
+                    name: "csrf_token",
+                    value: csrfToken,
+                    httpOnly: false, // Read by the frontend for the X-CSRF-Token header
+                    secure: true,
+                    sameSite: "None",
+                    domain: ".packsyncr.com",
+                    path: "/",
+                    maxAge: parseInt(process.env.REFRESH_TOKEN_EXPIRY_SECONDS, 10) || 15552000
+                },
+                {
+                    name: "login_session",
+                    value: "",
+                    httpOnly: true,
+                    secure: true,
+                    sameSite: "None",
+                    path: "/",
+                    maxAge: 0
                 }
             ],
             body: {
                 success: true,
-                newUser: isNewUser
+                csrf_token: csrfToken,
+                newUser: isNewUser,
+                profileUpdated: profileUpdated
             }
         };
         return;
     } catch (err) {
+        const status =
+            err.message === "upstream_timeout" ? 504 :
+            err.message === "upstream_unreachable" ? 502 :
+            err.message === "invalid_login_session" ? 400 :
+            err.message === "login_unavailable" ? 503 :
+            err.message === "invalid_entitlement_signature" ? 403 :
+            err.message === "xbox_profile_missing" ? 403 :
+            err.message === "xbox_country_unavailable" ? 403 :
+            err.message === "xbox_adult_verification_required" ? 403 :
+            err.message === "xbox_child_account_requires_family" ? 403 :
+            err.message === "xbox_account_banned" ? 403 :
+            err.message === "minecraft_not_owned" ? 403 :
+            err.message === "minecraft_profile_missing" ? 404 :
+            err.message === "account_deletion_in_progress" ? 409 :
+            err.message === "account_suspended" ? 403 :
+            500;
+
+        // Unexpected errors are logged here and never leak their message to the client
+        if (status === 500 || err.message === "login_unavailable") {
+            context.log.error("Login failed:", err);
+        }
+        const error = status !== 500 || LOGIN_STEP_ERRORS.includes(err.message) ? err.message : "login_failed";
+
         context.res = {
-            status: 500,
+            status,
             headers: CORS_HEADERS,
-            body: JSON.stringify({ error: String(err) })
+            body: JSON.stringify({ error })
         };
         return;
     }
 }
 
+// Login start: create the Microsoft authorization URL and a signed login session holding state + code_verifier
+function startLogin() {
+    const state = crypto.randomBytes(32).toString("base64url");
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+    const payload = Buffer.from(JSON.stringify({
+        state: state,
+        verifier: codeVerifier,
+        exp: Math.floor(Date.now() / 1000) + LOGIN_SESSION_EXPIRY_SECONDS
+    })).toString("base64url");
+    const signature = crypto.createHmac("sha256", getLoginStateSecret()).update(payload).digest("base64url");
+
+    const authorizationUrl = "https://login.microsoftonline.com/consumers/oauth2/v2.0/authorize?" + new URLSearchParams({
+        client_id: process.env.CLIENT_ID,
+        response_type: "code",
+        redirect_uri: process.env.REDIRECT_URI,
+        response_mode: "query",
+        scope: "User.Read offline_access",
+        state: state,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256"
+    });
+
+    return {
+        authorizationUrl,
+        state,
+        loginSession: `${payload}.${signature}`
+    };
+}
+
+// Step 0: Verify the login_session cookie is ours, unexpired and matches the returned state -> code_verifier
+function verifyLoginSession(cookieHeader, state) {
+    const cookies = Object.fromEntries(
+        (cookieHeader || "").split(";").map(c => {
+            const [key, ...v] = c.trim().split("=");
+            return [key, v.join("=")];
+        })
+    );
+
+    const loginSession = cookies.login_session;
+    if (!loginSession || typeof state !== "string") {
+        throw new Error("invalid_login_session");
+    }
+
+    const [payload, signature] = loginSession.split(".");
+    const expected = crypto.createHmac("sha256", getLoginStateSecret()).update(payload || "").digest("base64url");
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error("invalid_login_session");
+    }
+
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(payload, "base64url").toString());
+    } catch {
+        throw new Error("invalid_login_session");
+    }
+
+    const expectedState = Buffer.from(String(session.state));
+    const providedState = Buffer.from(state);
+    if (session.exp < Math.floor(Date.now() / 1000) ||
+        expectedState.length !== providedState.length ||
+        !crypto.timingSafeEqual(expectedState, providedState)) {
+        throw new Error("invalid_login_session");
+    }
+
+    return session.verifier;
+}
+
+// Secret signing login sessions, logins are unavailable until it is configured
+function getLoginStateSecret() {
+    if (!process.env.LOGIN_STATE_SECRET) {
+        throw new Error("login_unavailable");
+    }
+    return process.env.LOGIN_STATE_SECRET;
+}
+
 // Step 1: Exchange Microsoft auth code -> email + xbl access tokens
-async function exchangeAuthCodeForTokens(code) {
+async function exchangeAuthCodeForTokens(code, codeVerifier) {
     // Exchange auth code for refresh token and Microsoft Graph access token (email)
-    const emailTokenResponse = await fetch("https://login.microsoftonline.com/consumers/oauth2/v2.0/token", {
+    const emailTokenResponse = await httpClient.request("auth_code", "https://login.microsoftonline.com/consumers/oauth2/v2.0/token", {
         method: "POST",
         headers: {
             "Content-Type": "application/x-www-form-urlencoded"
@@ -122,6 +333,7 @@ async function exchangeAuthCodeForTokens(code) {
             client_id: process.env.CLIENT_ID,
             client_secret: process.env.CLIENT_SECRET,
             code: code,
+            code_verifier: codeVerifier,
             redirect_uri: process.env.REDIRECT_URI,
             grant_type: "authorization_code",
             scope: "User.Read offline_access"
@@ -135,7 +347,7 @@ async function exchangeAuthCodeForTokens(code) {
     const refreshToken = emailTokenData.refresh_token;
     
     // Use refresh token to get Xbox Live access token
-    const xblTokenResponse = await fetch("https://login.microsoftonline.com/consumers/oauth2/v2.0/token", {
+    const xblTokenResponse = await httpClient.request("xbl_refresh", "https://login.microsoftonline.com/consumers/oauth2/v2.0/token", {
         method: "POST",
         headers: {
             "Content-Type": "application/x-www-form-urlencoded"
@@ -162,7 +374,7 @@ async function exchangeAuthCodeForTokens(code) {
 
 // Step 2: auth token -> msEmail
 async function getMsEmail(authToken) {
-    const response = await fetch("https://graph.microsoft.com/v1.0/me", {
+    const response = await httpClient.request("graph_email", "https://graph.microsoft.com/v1.0/me", {
         headers: {
             "Authorization": `Bearer ${authToken}`,
             "Accept": "application/json"
@@ -189,7 +401,7 @@ async function authTokenToXbl(authToken) {
         TokenType: "JWT"
     };
 
-    const response = await fetch("https://user.auth.xboxlive.com/user/authenticate", {
+    const response = await httpClient.request("xbl", "https://user.auth.xboxlive.com/user/authenticate", {
         method: "POST",
         headers: {
             "Content-Type": "application/json",
@@ -220,7 +432,7 @@ async function xblToXsts(xblToken) {
         TokenType: "JWT"
     };
 
-    const response = await fetch("https://xsts.auth.xboxlive.com/xsts/authorize", {
+    const response = await httpClient.request("xsts", "https://xsts.auth.xboxlive.com/xsts/authorize", {
         method: "POST",
         headers: {
             "Content-Type": "application/json",
@@ -229,10 +441,11 @@ async function xblToXsts(xblToken) {
         body: JSON.stringify(body)
     });
 
-    const data = await response.json();
+    // Error responses may have an empty body
+    const data = await response.json().catch(() => ({}));
 
     if (!response.ok) {
-        throw new Error("xsts_retrieval_failed");
+        throw new Error(XSTS_ERRORS[data.XErr] || "xsts_retrieval_failed");
     }
     return data.Token;
 }
@@ -243,7 +456,7 @@ async function xstsToMc(xstsToken, uhs) {
         identityToken: `XBL3.0 x=${uhs};${xstsToken}`
     };
 
-    const response = await fetch("https://api.minecraftservices.com/authentication/login_with_xbox", {
+    const response = await httpClient.request("minecraft_login", "https://api.minecraftservices.com/authentication/login_with_xbox", {
         method: "POST",
         headers: {
             "Content-Type": "application/json",
@@ -266,9 +479,9 @@ async function xstsToMc(xstsToken, uhs) {
     return data.access_token;
 }
 
-// Step 6: Verify Minecraft ownership
-async function verifyMinecraftOwnership(mcAccessToken) {
-    const response = await fetch("https://api.minecraftservices.com/entitlements/mcstore", {
+// Step 6: Verify Minecraft ownership from the signed entitlements -> { source, entitlements }
+async function verifyMinecraftOwnership(context, mcAccessToken) {
+    const response = await httpClient.request("entitlements", "https://api.minecraftservices.com/entitlements/mcstore", {
         method: "GET",
         headers: {
             "Authorization": `Bearer ${mcAccessToken}`,
@@ -276,17 +489,65 @@ async function verifyMinecraftOwnership(mcAccessToken) {
         }
     });
 
+    if (!response.ok) {
+        throw new Error("minecraft_entitlements_retrieval_failed");
+    }
+
     const data = await response.json();
 
-    if (!data.items || data.items.length === 0) {
-        throw new Error("Minecraft ownership not detected");
+    // Only trust entitlements from the signed JWT, not the unsigned items list
+    const entitlements = verifyEntitlementSignature(data.signature)
+        .map(entitlement => entitlement.name);
+
+    const owned = entitlements.find(name => OWNERSHIP_SOURCES[name]);
+    if (!owned) {
+        context.log.warn("Minecraft ownership rejected, entitlements:", entitlements);
+        throw new Error("minecraft_not_owned");
+    }
+
+    return {
+        source: OWNERSHIP_SOURCES[owned],
+        entitlements: entitlements
+    };
+}
+
+// Verify the RS256 entitlement JWT signed by Mojang -> entitlement list
+function verifyEntitlementSignature(token) {
+    if (!process.env.MOJANG_ENTITLEMENT_PUBLIC_KEY) {
+        throw new Error("entitlement_verification_unavailable");
+    }
+
+    const parts = typeof token === "string" ? token.split(".") : [];
+    if (parts.length !== 3) {
+        throw new Error("invalid_entitlement_signature");
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    let header;
+    let payload;
+    try {
+        header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString());
+        payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+    } catch {
+        throw new Error("invalid_entitlement_signature");
     }
-    return true;
+
+    const isValid = header.alg === "RS256" && crypto.verify(
+        "RSA-SHA256",
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        process.env.MOJANG_ENTITLEMENT_PUBLIC_KEY,
+        Buffer.from(encodedSignature, "base64url")
+    );
+    if (!isValid) {
+        throw new Error("invalid_entitlement_signature");
+    }
+
+    return Array.isArray(payload.entitlements) ? payload.entitlements : [];
 }
 
 // Step 7: McAccessToken -> McProfile
 async function getMcProfile(mcAccessToken) {
-    const response = await fetch("https://api.minecraftservices.com/minecraft/profile", {
+    const response = await httpClient.request("profile", "https://api.minecraftservices.com/minecraft/profile", {
         method: "GET",
         headers: {
             "Authorization": `Bearer ${mcAccessToken}`,
@@ -294,35 +555,192 @@ async function getMcProfile(mcAccessToken) {
         }
     });
 
+    // Game is owned but no Java profile has been created yet (the game was never launched)
+    if (response.status === 404) {
+        throw new Error("minecraft_profile_missing");
+    }
+
     if (!response.ok) {
-        const errorText = await response.text();
         throw new Error("minecraft_profile_retrieval_failed");
     }
     const data = await response.json();
     return data;
 }
 
-// Step 8: Retrieve refresh token from Cloudflare
-async function getRefreshToken(email, mcProfile) {
-    const response = await fetch("https://auth.packsyncr.com/refresh-token", {
+// Step 8: Retrieve refresh token (new session) from Cloudflare
+async function getRefreshToken(email, mcProfile, device, ownership) {
+    const body = JSON.stringify({
+        uuid: mcProfile.id,
+        username: mcProfile.name,
+        email: email,
+        device_label: device.deviceLabel,
+        user_agent: device.userAgent,
+        ip: device.ip,
+        country: device.country,
+        ownership_source: ownership.source
+    });
+
+    const response = await httpClient.request("auth_gateway", "https://auth.packsyncr.com/refresh-token", {
         method: "POST",
         headers: {
             "Content-Type": "application/json",
-            "x-internal-auth": process.env.INTERNAL_SECRET
+            ...signInternalRequest("POST", "/refresh-token", body)
         },
-        body: JSON.stringify({
-            uuid: mcProfile.id,
-            username: mcProfile.name,
-            email: email
-        })
+        body: body
     });
 
     const data = await response.json();
     if (!response.ok) {
-        throw new Error("refresh_token_generation_failed");
+        const passthrough = ["account_deletion_in_progress", "account_suspended"];
+        throw new Error(passthrough.includes(data.error) ? data.error : "refresh_token_generation_failed");
     }
     return {
         refreshToken: data.refresh_token,
-        isNewUser: data.newUser
+        csrfToken: data.csrf_token,
+        isNewUser: data.newUser,
+        profileUpdated: data.profile_updated === true
+    };
+}
+
+// CORS headers for the request origin (must match utilities/cors.js in the workers)
+// CORS_ALLOWED_ORIGINS: comma-separated exact origins or wildcard subdomain patterns ("https://*.packsyncr.pages.dev")
+function getCorsHeaders(req) {
+    const headers = { "Vary": "Origin" };
+    const origin = req.headers.origin;
+    if (!origin) {
+        return headers;
+    }
+
+    const allowed = (process.env.CORS_ALLOWED_ORIGINS || "https://www.packsyncr.com")
+        .split(",")
+        .map(pattern => pattern.trim())
+        .filter(Boolean)
+        .some(pattern => matchesOrigin(pattern, origin));
+
+    if (allowed) {
+        headers["Access-Control-Allow-Origin"] = origin;
+        headers["Access-Control-Allow-Credentials"] = "true";
+    }
+    return headers;
+}
+
+// Check an origin against an exact origin or a wildcard subdomain pattern (scheme and port must match)
+function matchesOrigin(pattern, origin) {
+    if (!pattern.includes("*")) {
+        return pattern === origin;
+    }
+
+    const match = pattern.match(/^([a-z][a-z0-9+.-]*:\/\/)\*\.([^/:*]+)(:\d+)?$/i);
+    const originMatch = origin.match(/^([a-z][a-z0-9+.-]*:\/\/)([^/:]+)(:\d+)?$/i);
+    if (!match || !originMatch) {
+        return false;
+    }
+    const [, scheme, domain, port = ""] = match;
+    const [, originScheme, host, originPort = ""] = originMatch;
+
+    return originScheme.toLowerCase() === scheme.toLowerCase()
+        && originPort === port
+        && host.toLowerCase().endsWith(`.${domain.toLowerCase()}`)
+        && /^[a-z0-9.-]+$/i.test(host.slice(0, -(domain.length + 1)));
+}
+
+// Client IP from the first X-Forwarded-For entry set by the Azure front end (may include a port)
+function getClientIp(req) {
+    const forwarded = (req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+    if (!forwarded) {
+        return undefined;
+    }
+    const ipv4WithPort = forwarded.match(/^(\d+\.\d+\.\d+\.\d+):\d+$/);
+    if (ipv4WithPort) {
+        return ipv4WithPort[1];
+    }
+    const ipv6WithPort = forwarded.match(/^\[(.+)\]:\d+$/);
+    return ipv6WithPort ? ipv6WithPort[1] : forwarded;
+}
+
+// Client country code from the header named by CLIENT_COUNTRY_HEADER, set by the Azure front end (e.g. a Front Door rule)
+// auth-gateway cannot locate relayed logins itself, Cloudflare only sees this proxy
+function getClientCountry(req) {
+    const header = process.env.CLIENT_COUNTRY_HEADER;
+    const country = header ? (req.headers[header.toLowerCase()] || "").trim().toUpperCase() : "";
+    return /^[A-Z]{2}$/.test(country) ? country : undefined;
+}
+
+// Sign a request to auth-gateway (must match verifyInternalRequest in auth-gateway.js)
+function signInternalRequest(method, path, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce = crypto.randomUUID();
+    const bodyHash = crypto.createHash("sha256").update(body).digest("hex");
+    const signature = crypto
+        .createHmac("sha256", process.env.INTERNAL_SECRET)
+        .update([method, path, timestamp, nonce, bodyHash].join("\n"))
+        .digest("hex");
+
+    return {
+        "x-internal-timestamp": timestamp,
+        "x-internal-nonce": nonce,
+        "x-internal-signature": signature
     };
 }
+
+// HTTP client with per-step timeouts, bounded retry with jitter and Retry-After handling
+function createHttpClient(fetchImpl) {
+    return {
+        async request(step, url, options = {}) {
+            const policy = STEP_POLICIES[step] || { timeoutMs: 5000, retries: 0 };
+
+            for (let attempt = 0; ; attempt++) {
+                let response;
+                try {
+                    response = await fetchImpl(url, {
+                        ...options,
+                        signal: AbortSignal.timeout(policy.timeoutMs)
+                    });
+                } catch (err) {
+                    if (attempt >= policy.retries) {
+                        throw new Error(err.name === "TimeoutError" ? "upstream_timeout" : "upstream_unreachable");
+                    }
+                    await sleep(backoffDelay(attempt));
+                    continue;
+                }
+
+                if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= policy.retries) {
+                    return response;
+                }
+
+                // Honour Retry-After when the upstream asks for a short wait, otherwise back off with jitter
+                const retryAfter = retryAfterDelay(response.headers.get("retry-after"));
+                if (retryAfter !== null && retryAfter > MAX_RETRY_DELAY_MS) {
+                    return response;
+                }
+                await sleep(retryAfter !== null ? retryAfter : backoffDelay(attempt));
+            }
+        }
+    };
+}
+
+// Full jitter exponential backoff
+function backoffDelay(attempt) {
+    return Math.floor(Math.random() * Math.min(MAX_RETRY_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt));
+}
+
+// Retry-After (seconds or HTTP date) -> ms, or null if missing/invalid
+function retryAfterDelay(value) {
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports.createHttpClient = createHttpClient;
+module.exports.setHttpClient = function (client) {
+    httpClient = client;
+};
@@ -0,0 +1,15 @@
+-- Pack invite codes (pack-handler/invites.js)
+-- expires_at and max_uses are -1 for invites that never expire / have unlimited uses
+CREATE TABLE pack_invite_codes (
+  invite_code TEXT PRIMARY KEY,
+  pack_uuid TEXT NOT NULL,
+  creator_uuid TEXT NOT NULL,
+  role TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  max_uses INTEGER NOT NULL,
+  uses INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX idx_pack_invite_codes_pack ON pack_invite_codes (pack_uuid);
+CREATE INDEX idx_pack_invite_codes_creator ON pack_invite_codes (creator_uuid);
@@ -0,0 +1,32 @@
+-- Per-device sessions, replacing the single refresh token per user (auth-gateway.js)
+-- scope is what a device flow session was approved for, NULL for browser logins, which may request every scope
+CREATE TABLE sessions (
+  session_id TEXT PRIMARY KEY,
+  uuid TEXT NOT NULL,
+  token_value TEXT,
+  device_label TEXT,
+  user_agent TEXT,
+  country TEXT,
+  created_at INTEGER NOT NULL,
+  last_used_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  scope TEXT
+);
+
+CREATE INDEX idx_sessions_uuid ON sessions (uuid, expires_at);
+
+-- Carry every unexpired single refresh token over as a session, so nobody is signed out by the deploy
+INSERT INTO sessions (session_id, uuid, token_value, created_at, last_used_at, expires_at)
+SELECT
+  lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' ||
+    substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6))),
+  uuid,
+  token_value,
+  unixepoch(),
+  unixepoch(),
+  expires_at
+FROM refresh_tokens
+WHERE token_value IS NOT NULL AND expires_at > unixepoch();
+
+-- Don't keep the raw tokens at rest once they are carried over
+DELETE FROM refresh_tokens;
@@ -0,0 +1,13 @@
+-- Refresh token rotation with reuse detection (auth-gateway.js)
+ALTER TABLE sessions ADD COLUMN rotated_at INTEGER;
+
+-- Refresh tokens rotated out of a session, kept to detect reuse until the session ends
+CREATE TABLE retired_refresh_tokens (
+  token_value TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  uuid TEXT NOT NULL,
+  retired_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_retired_refresh_tokens_session ON retired_refresh_tokens (session_id);
+CREATE INDEX idx_retired_refresh_tokens_uuid ON retired_refresh_tokens (uuid);
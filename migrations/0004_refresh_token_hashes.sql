@@ -0,0 +1,18 @@
+-- Refresh tokens stored as peppered HMAC hashes (auth-gateway.js, utilities/crypto.js)
+-- Sessions keep their raw token_value until it is next used, then it is replaced by token_hash (upgradeLegacySession)
+ALTER TABLE sessions ADD COLUMN token_hash TEXT;
+
+CREATE UNIQUE INDEX idx_sessions_token_hash ON sessions (token_hash);
+
+-- Retired raw tokens cannot be hashed here without the pepper, so reuse detection starts over with hashes
+DROP TABLE retired_refresh_tokens;
+
+CREATE TABLE retired_refresh_tokens (
+  token_hash TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  uuid TEXT NOT NULL,
+  retired_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_retired_refresh_tokens_session ON retired_refresh_tokens (session_id);
+CREATE INDEX idx_retired_refresh_tokens_uuid ON retired_refresh_tokens (uuid);
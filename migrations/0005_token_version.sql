@@ -0,0 +1,2 @@
+-- Per-user token version, bumped to revoke every issued access and API token (utilities/jwt.js)
+ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,15 @@
+-- Personal API tokens (utilities/api-tokens.js)
+-- Only the SHA-256 of each token is stored, expires_at is -1 for tokens that never expire
+CREATE TABLE api_tokens (
+  token_id TEXT PRIMARY KEY,
+  uuid TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  token_version INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  last_used_at INTEGER
+);
+
+CREATE INDEX idx_api_tokens_uuid ON api_tokens (uuid);
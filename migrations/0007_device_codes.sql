@@ -0,0 +1,16 @@
+-- OAuth device authorization codes (auth-gateway/device.js)
+-- status is pending, approved or denied; uuid is set once the code is approved or denied
+CREATE TABLE device_codes (
+  device_code_hash TEXT PRIMARY KEY,
+  user_code TEXT NOT NULL UNIQUE,
+  scope TEXT NOT NULL,
+  device_label TEXT,
+  status TEXT NOT NULL,
+  uuid TEXT,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  last_polled_at INTEGER
+);
+
+CREATE INDEX idx_device_codes_expires ON device_codes (expires_at);
+CREATE INDEX idx_device_codes_uuid ON device_codes (uuid);
@@ -0,0 +1,10 @@
+-- Minecraft username changes seen at login (auth-gateway.js syncProfile)
+CREATE TABLE username_history (
+  uuid TEXT NOT NULL,
+  old_username TEXT NOT NULL,
+  new_username TEXT NOT NULL,
+  changed_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_username_history_uuid ON username_history (uuid);
+CREATE INDEX idx_username_history_old_username ON username_history (old_username COLLATE NOCASE);
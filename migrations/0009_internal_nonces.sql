@@ -0,0 +1,7 @@
+-- Nonces of signed auth-proxy requests, kept until the allowed clock skew has passed (auth-gateway.js verifyInternalRequest)
+CREATE TABLE internal_nonces (
+  nonce TEXT PRIMARY KEY,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_internal_nonces_expires ON internal_nonces (expires_at);
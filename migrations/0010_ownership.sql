@@ -0,0 +1,3 @@
+-- How the user owns Minecraft: Java Edition ("purchase" or "game_pass"), checked on every login
+ALTER TABLE users ADD COLUMN ownership_source TEXT;
+ALTER TABLE users ADD COLUMN ownership_checked_at INTEGER;
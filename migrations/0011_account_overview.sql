@@ -0,0 +1,3 @@
+-- Account creation time and resource file sizes shown by GET /me
+ALTER TABLE users ADD COLUMN created_at INTEGER;
+ALTER TABLE resource_files ADD COLUMN size_bytes INTEGER;
@@ -0,0 +1,13 @@
+-- Scheduled account deletions (auth-gateway/account.js, utilities/account-deletion.js)
+-- Each *_at column records when that deletion step finished
+CREATE TABLE account_deletions (
+  uuid TEXT PRIMARY KEY,
+  requested_at INTEGER NOT NULL,
+  purge_after INTEGER NOT NULL,
+  signed_out_at INTEGER,
+  packs_purged_at INTEGER,
+  resources_purged_at INTEGER,
+  completed_at INTEGER
+);
+
+CREATE INDEX idx_account_deletions_purge_after ON account_deletions (purge_after);
@@ -0,0 +1,29 @@
+-- Personal data exports (auth-gateway/export.js)
+-- status is pending, staging, ready, failed or expired
+CREATE TABLE data_exports (
+  export_id TEXT PRIMARY KEY,
+  uuid TEXT NOT NULL,
+  status TEXT NOT NULL,
+  entries_total INTEGER NOT NULL DEFAULT 0,
+  entries_done INTEGER NOT NULL DEFAULT 0,
+  size_bytes INTEGER,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  completed_at INTEGER,
+  expires_at INTEGER
+);
+
+CREATE INDEX idx_data_exports_uuid ON data_exports (uuid, created_at);
+CREATE INDEX idx_data_exports_status ON data_exports (status, created_at);
+
+-- Entries of an export being staged, size_bytes and crc32 are set once the entry is staged in R2
+CREATE TABLE data_export_entries (
+  export_id TEXT NOT NULL,
+  entry_index INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  source TEXT NOT NULL,
+  source_key TEXT NOT NULL,
+  size_bytes INTEGER,
+  crc32 INTEGER,
+  PRIMARY KEY (export_id, entry_index)
+);
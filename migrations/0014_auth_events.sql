@@ -0,0 +1,28 @@
+-- Append-only sign-in audit log (auth-gateway/audit.js)
+CREATE TABLE auth_events (
+  event_id TEXT PRIMARY KEY,
+  uuid TEXT NOT NULL,
+  event TEXT NOT NULL,
+  session_id TEXT,
+  ip TEXT,
+  user_agent TEXT,
+  country TEXT,
+  asn INTEGER,
+  as_organization TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_auth_events_uuid ON auth_events (uuid, created_at);
+CREATE INDEX idx_auth_events_created_at ON auth_events (created_at);
+
+-- User notification inbox, data is a JSON object
+CREATE TABLE notifications (
+  notification_id TEXT PRIMARY KEY,
+  uuid TEXT NOT NULL,
+  type TEXT NOT NULL,
+  data TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  read_at INTEGER
+);
+
+CREATE INDEX idx_notifications_uuid ON notifications (uuid, created_at);
@@ -0,0 +1,22 @@
+-- Admin role and account suspensions (auth-gateway/admin.js, utilities/suspension.js)
+-- suspension_expires_at is -1 for suspensions that last until they are lifted
+ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user';
+ALTER TABLE users ADD COLUMN suspended_at INTEGER;
+ALTER TABLE users ADD COLUMN suspension_reason TEXT;
+ALTER TABLE users ADD COLUMN suspension_expires_at INTEGER;
+
+-- Admin API audit trail, only ever inserted into. details is a JSON object
+-- outcome is success, denied (an admin without the admin scope or role claim, or a demoted admin) or failed
+CREATE TABLE admin_audit_log (
+  audit_id TEXT PRIMARY KEY,
+  admin_uuid TEXT NOT NULL,
+  action TEXT NOT NULL,
+  target_uuid TEXT,
+  details TEXT NOT NULL,
+  ip TEXT,
+  outcome TEXT NOT NULL DEFAULT 'success',
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_admin_audit_log_created ON admin_audit_log (created_at);
+CREATE INDEX idx_admin_audit_log_target ON admin_audit_log (target_uuid, created_at);
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert";
+import "../helpers/register.mjs";
+import { createD1 } from "../helpers/d1.mjs";
+
+const { requestAccountDeletion, cancelAccountDeletion, purgeAccount, signOutAllDevices, getAccountOverview } = await import("../../workers/auth-gateway/account.js");
+const { runAccountDeletionStep } = await import("../../utilities/account-deletion.js");
+
+const UUID = "0f1e2d3c4b5a69788796a5b4c3d2e1f0";
+
+function signUp(env) {
+  env.PACKSYNCR_DB.db.prepare(`
+    INSERT INTO users (uuid, username, email, created_at)
+    VALUES (?, 'Steve', 'steve@example.com', unixepoch())
+  `).run(UUID);
+}
+
+// Run every deletion step the way the scheduled handlers do (packs and resources have nothing to purge here)
+async function runDeletion(env) {
+  await runAccountDeletionStep(env, "sign_out", (env, uuid) => signOutAllDevices(uuid, env));
+  await runAccountDeletionStep(env, "packs", async () => {});
+  await runAccountDeletionStep(env, "resources", async () => {});
+  await runAccountDeletionStep(env, "account", (env, uuid) => purgeAccount(env, uuid));
+}
+
+test("an account deleted, signed up again and deleted again gets a new deletion", async () => {
+  const env = { PACKSYNCR_DB: createD1(), ACCOUNT_DELETION_COOLING_OFF_SECONDS: "0" };
+
+  signUp(env);
+  env.PACKSYNCR_DB.db.prepare(`INSERT INTO refresh_tokens (uuid, token_value, expires_at) VALUES (?, 'legacy', unixepoch() + 3600)`).run(UUID);
+  await requestAccountDeletion(env, UUID);
+  await runDeletion(env);
+
+  assert.strictEqual(env.PACKSYNCR_DB.db.prepare(`SELECT COUNT(*) AS total FROM users`).get().total, 0);
+  assert.strictEqual(env.PACKSYNCR_DB.db.prepare(`SELECT COUNT(*) AS total FROM refresh_tokens`).get().total, 0);
+  assert.strictEqual(env.PACKSYNCR_DB.db.prepare(`SELECT COUNT(*) AS total FROM account_deletions`).get().total, 0);
+
+  signUp(env);
+  const overview = await getAccountOverview(env, UUID);
+  assert.strictEqual(overview.deletion, null);
+
+  env.ACCOUNT_DELETION_COOLING_OFF_SECONDS = "604800";
+  const deletion = await requestAccountDeletion(env, UUID);
+  assert.ok(deletion.purge_after > Math.floor(Date.now() / 1000));
+
+  await cancelAccountDeletion(env, UUID);
+  assert.strictEqual((await getAccountOverview(env, UUID)).deletion, null);
+});
@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert";
+import "../helpers/register.mjs";
+import { createD1 } from "../helpers/d1.mjs";
+
+const { generateJWT } = await import("../../utilities/jwt.js");
+const { handleAdminRequest } = await import("../../workers/auth-gateway/admin.js");
+
+const ADMIN_UUID = "a0a0a0a0a0a0a0a0a0a0a0a0a0a0a0a0";
+const USER_UUID = "0f1e2d3c4b5a69788796a5b4c3d2e1f0";
+
+function createEnv() {
+  const env = { PACKSYNCR_DB: createD1(), JWT_SECRET: "test-jwt-secret-long-enough-for-hs256" };
+  env.PACKSYNCR_DB.db.exec(`
+    INSERT INTO users (uuid, username, role) VALUES ('${ADMIN_UUID}', 'Alex', 'admin'), ('${USER_UUID}', 'Steve', 'user');
+  `);
+  return env;
+}
+
+async function lookup(env, uuid, claims) {
+  const token = await generateJWT(uuid, "access", env, { ver: 0, ...claims });
+  return await handleAdminRequest(new Request(`https://auth.packsyncr.com/admin/users?uuid=${USER_UUID}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  }), env, "/admin/users");
+}
+
+function auditLog(env) {
+  return env.PACKSYNCR_DB.db.prepare(`SELECT admin_uuid, outcome FROM admin_audit_log ORDER BY created_at`).all()
+    .map(row => ({ ...row }));
+}
+
+test("only admins' denied attempts are recorded in the audit trail", async () => {
+  const env = createEnv();
+
+  const user = await lookup(env, USER_UUID, { scope: "account:read" });
+  assert.strictEqual(user.status, 403);
+  assert.deepStrictEqual(auditLog(env), []);
+
+  const narrowed = await lookup(env, ADMIN_UUID, { scope: "account:read", role: "admin" });
+  assert.strictEqual(narrowed.status, 403);
+  assert.deepStrictEqual(auditLog(env), [{ admin_uuid: ADMIN_UUID, outcome: "denied" }]);
+
+  const allowed = await lookup(env, ADMIN_UUID, { scope: "admin", role: "admin" });
+  assert.strictEqual(allowed.status, 200);
+  assert.deepStrictEqual(auditLog(env).map(row => row.outcome).sort(), ["denied", "success"]);
+});
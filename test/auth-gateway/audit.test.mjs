@@ -0,0 +1,30 @@
+import test from "node:test";
+import assert from "node:assert";
+import "../helpers/register.mjs";
+import { createD1 } from "../helpers/d1.mjs";
+
+const { recordAuthEvent } = await import("../../workers/auth-gateway/audit.js");
+
+const UUID = "0f1e2d3c4b5a69788796a5b4c3d2e1f0";
+
+function fromCountry(country) {
+  const request = new Request("https://auth.packsyncr.com/access-token");
+  Object.defineProperty(request, "cf", { value: { country, asn: 64500 } });
+  return request;
+}
+
+function notifications(env) {
+  return env.PACKSYNCR_DB.db.prepare(`SELECT COUNT(*) AS total FROM notifications WHERE uuid = ?`).get(UUID).total;
+}
+
+test("only a login from a new location adds a notification", async () => {
+  const env = { PACKSYNCR_DB: createD1() };
+
+  await recordAuthEvent(env, fromCountry("NL"), UUID, "login");
+  await recordAuthEvent(env, fromCountry("DE"), UUID, "refresh");
+  await recordAuthEvent(env, fromCountry("FR"), UUID, "refresh_failed");
+  assert.strictEqual(notifications(env), 0);
+
+  await recordAuthEvent(env, fromCountry("US"), UUID, "login");
+  assert.strictEqual(notifications(env), 1);
+});
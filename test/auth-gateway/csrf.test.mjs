@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert";
+import "../helpers/register.mjs";
+import { createD1 } from "../helpers/d1.mjs";
+
+const { default: worker } = await import("../../workers/auth-gateway/auth-gateway.js");
+const { createCsrfToken } = await import("../../workers/auth-gateway/csrf.js");
+const { hmacSha256Hex } = await import("../../utilities/crypto.js");
+
+const UUID = "0f1e2d3c4b5a69788796a5b4c3d2e1f0";
+const OTHER_UUID = "00000000000000000000000000000002";
+const ORIGIN = "https://www.packsyncr.com";
+
+async function createEnv() {
+  const env = {
+    PACKSYNCR_DB: createD1(),
+    JWT_SECRET: "test-jwt-secret-long-enough-for-hs256",
+    REFRESH_TOKEN_PEPPER: "test-refresh-token-pepper",
+    CSRF_SECRET: "test-csrf-secret"
+  };
+  const { db } = env.PACKSYNCR_DB;
+  db.prepare(`INSERT INTO users (uuid, username) VALUES (?, 'Steve')`).run(UUID);
+  db.prepare(`
+    INSERT INTO sessions (session_id, uuid, token_hash, created_at, last_used_at, expires_at)
+    VALUES ('3b241101-e2bb-4255-8caf-4136c566a962', ?, ?, unixepoch(), unixepoch(), unixepoch() + 3600)
+  `).run(UUID, await hmacSha256Hex(env.REFRESH_TOKEN_PEPPER, "refresh-token-0"));
+  return env;
+}
+
+// Refresh the way the frontend does, from a browser with the session cookies
+async function refresh(env, { csrfCookie, headers = {} } = {}) {
+  let cookie = `uuid=${UUID}; refresh_token=refresh-token-0`;
+  if (csrfCookie) {
+    cookie += `; csrf_token=${encodeURIComponent(csrfCookie)}`;
+  }
+  const response = await worker.fetch(new Request("https://auth.packsyncr.com/access-token", {
+    headers: { Cookie: cookie, "User-Agent": "Mozilla/5.0", ...headers }
+  }), env);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test("a browser refresh with a matching CSRF token from an allowed origin is accepted", async () => {
+  const env = await createEnv();
+  const token = await createCsrfToken(env, UUID);
+
+  const accepted = await refresh(env, {
+    csrfCookie: token,
+    headers: { Origin: ORIGIN, "Sec-Fetch-Site": "same-site", "Sec-Fetch-Mode": "cors", "X-CSRF-Token": token }
+  });
+  assert.strictEqual(accepted.status, 200);
+  assert.strictEqual(accepted.body.csrf_token, token);
+});
+
+test("a browser refresh without an allowed origin is refused before the refresh token is used", async () => {
+  const env = await createEnv();
+  const token = await createCsrfToken(env, UUID);
+
+  for (const headers of [
+    { "X-CSRF-Token": token },
+    { Origin: "https://evil.example", "X-CSRF-Token": token },
+    { Origin: ORIGIN, "Sec-Fetch-Mode": "navigate", "X-CSRF-Token": token },
+    { Origin: ORIGIN, "Sec-Fetch-Site": "none", "X-CSRF-Token": token }
+  ]) {
+    const refused = await refresh(env, { csrfCookie: token, headers });
+    assert.strictEqual(refused.status, 403);
+    assert.strictEqual(refused.body.error, "csrf_origin_mismatch");
+  }
+
+  const { db } = env.PACKSYNCR_DB;
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) AS total FROM retired_refresh_tokens`).get().total, 0);
+});
+
+test("a CSRF token that is missing, does not match the cookie or was issued for another account is refused", async () => {
+  const env = await createEnv();
+  const token = await createCsrfToken(env, UUID);
+  const otherToken = await createCsrfToken(env, OTHER_UUID);
+
+  const missing = await refresh(env, { csrfCookie: token, headers: { Origin: ORIGIN } });
+  assert.strictEqual(missing.status, 403);
+  assert.strictEqual(missing.body.error, "csrf_token_missing");
+
+  const mismatched = await refresh(env, { csrfCookie: token, headers: { Origin: ORIGIN, "X-CSRF-Token": otherToken } });
+  assert.strictEqual(mismatched.body.error, "csrf_token_invalid");
+
+  const otherAccount = await refresh(env, { csrfCookie: otherToken, headers: { Origin: ORIGIN, "X-CSRF-Token": otherToken } });
+  assert.strictEqual(otherAccount.body.error, "csrf_token_invalid");
+});
+
+test("a session without a CSRF token cookie is issued one until CSRF_REQUIRED_AFTER, then refused", async () => {
+  const env = await createEnv();
+  env.CSRF_REQUIRED_AFTER = `${Math.floor(Date.now() / 1000) + 3600}`;
+
+  const issued = await refresh(env, { headers: { Origin: ORIGIN } });
+  assert.strictEqual(issued.status, 200);
+  assert.ok(issued.body.csrf_token);
+  assert.ok(issued.headers.getSetCookie().some(cookie => cookie.startsWith(`csrf_token=${encodeURIComponent(issued.body.csrf_token)};`)));
+
+  env.CSRF_REQUIRED_AFTER = `${Math.floor(Date.now() / 1000) - 1}`;
+  const refused = await refresh(env, { headers: { Origin: ORIGIN } });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.error, "csrf_token_missing");
+});
@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert";
+import "../helpers/register.mjs";
+import { createD1 } from "../helpers/d1.mjs";
+
+const { default: worker } = await import("../../workers/auth-gateway/auth-gateway.js");
+const { generateJWT, getAccessTokenPayload } = await import("../../utilities/jwt.js");
+
+const UUID = "0f1e2d3c4b5a69788796a5b4c3d2e1f0";
+
+function createEnv() {
+  const env = {
+    PACKSYNCR_DB: createD1(),
+    JWT_SECRET: "test-jwt-secret-long-enough-for-hs256",
+    REFRESH_TOKEN_PEPPER: "test-refresh-token-pepper"
+  };
+  env.PACKSYNCR_DB.db.prepare(`INSERT INTO users (uuid, username) VALUES (?, 'Steve')`).run(UUID);
+  return env;
+}
+
+async function post(env, path, body, headers = {}) {
+  const response = await worker.fetch(new Request(`https://auth.packsyncr.com${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  }), env);
+  return { status: response.status, body: await response.json() };
+}
+
+async function approve(env, user_code, decision, scope = "account:write packs:read packs:write") {
+  const accessToken = await generateJWT(UUID, "access", env, { ver: 0, scope });
+  return await post(env, "/device/approve", { user_code, approve: decision }, { Authorization: `Bearer ${accessToken}` });
+}
+
+// Poll again without waiting out the polling interval
+async function poll(env, device_code) {
+  env.PACKSYNCR_DB.db.prepare(`UPDATE device_codes SET last_polled_at = NULL`).run();
+  return await post(env, "/device/token", { device_code });
+}
+
+test("an approved device gets a session limited to the scope it asked for", async () => {
+  const env = createEnv();
+  const { body: code } = await post(env, "/device/code", { scope: "packs:read", device_label: "Launcher" });
+
+  assert.strictEqual((await poll(env, code.device_code)).body.error, "authorization_pending");
+  assert.strictEqual((await post(env, "/device/token", { device_code: code.device_code })).body.error, "slow_down");
+
+  const approved = await approve(env, code.user_code.toLowerCase(), true);
+  assert.strictEqual(approved.status, 200);
+  assert.strictEqual(approved.body.scope, "packs:read");
+
+  const granted = await poll(env, code.device_code);
+  assert.strictEqual(granted.status, 200);
+  assert.strictEqual(granted.body.uuid, UUID);
+  assert.strictEqual(granted.body.scope, "packs:read");
+  const request = new Request("https://pack.packsyncr.com/packs", { headers: { Authorization: `Bearer ${granted.body.access_token}` } });
+  assert.strictEqual((await getAccessTokenPayload(request, env)).scope, "packs:read");
+
+  // The device code can only be exchanged once
+  assert.strictEqual((await poll(env, code.device_code)).body.error, "invalid_grant");
+  const { db } = env.PACKSYNCR_DB;
+  assert.strictEqual(db.prepare(`SELECT device_label AS label FROM sessions WHERE uuid = ?`).get(UUID).label, "Launcher");
+});
+
+test("the refresh_token grant rotates the refresh token and never widens the session's scope", async () => {
+  const env = createEnv();
+  const { body: code } = await post(env, "/device/code", { scope: "packs:read" });
+  await approve(env, code.user_code, true);
+  const { body: granted } = await poll(env, code.device_code);
+
+  const refreshed = await post(env, "/device/token", { grant_type: "refresh_token", uuid: UUID, refresh_token: granted.refresh_token });
+  assert.strictEqual(refreshed.status, 200);
+  assert.strictEqual(refreshed.body.scope, "packs:read");
+  assert.ok(refreshed.body.refresh_token && refreshed.body.refresh_token !== granted.refresh_token);
+
+  const widened = await post(env, "/device/token", {
+    grant_type: "refresh_token",
+    uuid: UUID,
+    refresh_token: refreshed.body.refresh_token,
+    scope: "packs:read packs:write"
+  });
+  assert.strictEqual(widened.status, 400);
+  assert.strictEqual(widened.body.error, "invalid_scope");
+
+  const unknown = await post(env, "/device/token", { grant_type: "refresh_token", uuid: UUID, refresh_token: "not-a-refresh-token" });
+  assert.strictEqual(unknown.body.error, "invalid_grant");
+});
+
+test("a denied device gets access_denied", async () => {
+  const env = createEnv();
+  const { body: code } = await post(env, "/device/code", {});
+
+  assert.strictEqual((await approve(env, code.user_code, false)).status, 200);
+  assert.strictEqual((await poll(env, code.device_code)).body.error, "access_denied");
+  assert.strictEqual((await approve(env, code.user_code, true)).body.error, "device_code_already_used");
+});
+
+test("a device cannot be approved for more than the approving token holds", async () => {
+  const env = createEnv();
+  const { body: code } = await post(env, "/device/code", { scope: "files:write" });
+
+  const approved = await approve(env, code.user_code, true);
+  assert.strictEqual(approved.status, 403);
+  assert.strictEqual(approved.body.error, "scope_not_granted");
+  assert.strictEqual((await poll(env, code.device_code)).body.error, "authorization_pending");
+});
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert";
+import "../helpers/register.mjs";
+import { createD1 } from "../helpers/d1.mjs";
+
+const { default: worker } = await import("../../workers/auth-gateway/auth-gateway.js");
+const { hmacSha256Hex } = await import("../../utilities/crypto.js");
+const { verifyJWT } = await import("../../utilities/jwt.js");
+
+const UUID = "0f1e2d3c4b5a69788796a5b4c3d2e1f0";
+const SESSION_ID = "3b241101-e2bb-4255-8caf-4136c566a962";
+
+async function createEnv() {
+  const env = {
+    PACKSYNCR_DB: createD1(),
+    JWT_SECRET: "test-jwt-secret-long-enough-for-hs256",
+    REFRESH_TOKEN_PEPPER: "test-refresh-token-pepper"
+  };
+  const { db } = env.PACKSYNCR_DB;
+  db.prepare(`INSERT INTO users (uuid, username) VALUES (?, 'Steve')`).run(UUID);
+  db.prepare(`
+    INSERT INTO sessions (session_id, uuid, token_hash, created_at, last_used_at, expires_at)
+    VALUES (?, ?, ?, unixepoch(), unixepoch(), unixepoch() + 3600)
+  `).run(SESSION_ID, UUID, await hmacSha256Hex(env.REFRESH_TOKEN_PEPPER, "refresh-token-0"));
+  return env;
+}
+
+// Refresh the way a non-browser client does, which gets the rotated refresh token in the body
+async function refresh(env, refreshToken) {
+  const response = await worker.fetch(new Request("https://auth.packsyncr.com/access-token", {
+    headers: { Cookie: `uuid=${UUID}; refresh_token=${encodeURIComponent(refreshToken)}` }
+  }), env);
+  return { status: response.status, body: await response.json() };
+}
+
+test("every refresh rotates the refresh token and binds the access token to the session", async () => {
+  const env = await createEnv();
+
+  const first = await refresh(env, "refresh-token-0");
+  assert.strictEqual(first.status, 200);
+  assert.ok(first.body.refresh_token && first.body.refresh_token !== "refresh-token-0");
+  assert.strictEqual((await verifyJWT(first.body.access_token, "access", env)).sid, SESSION_ID);
+
+  const second = await refresh(env, first.body.refresh_token);
+  assert.strictEqual(second.status, 200);
+  assert.ok(second.body.refresh_token && second.body.refresh_token !== first.body.refresh_token);
+
+  const { db } = env.PACKSYNCR_DB;
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) AS total FROM retired_refresh_tokens WHERE session_id = ?`).get(SESSION_ID).total, 2);
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) AS total FROM sessions WHERE token_value IS NOT NULL`).get().total, 0);
+});
+
+test("a token rotated out within the grace window still refreshes, without another rotation", async () => {
+  const env = await createEnv();
+
+  const rotated = await refresh(env, "refresh-token-0");
+  const concurrent = await refresh(env, "refresh-token-0");
+
+  assert.strictEqual(concurrent.status, 200);
+  assert.strictEqual(concurrent.body.refresh_token, undefined);
+  assert.strictEqual((await refresh(env, rotated.body.refresh_token)).status, 200);
+});
+
+test("reusing a rotated-out token after the grace window revokes the session", async () => {
+  const env = await createEnv();
+  env.REFRESH_TOKEN_GRACE_SECONDS = "-1";
+
+  const rotated = await refresh(env, "refresh-token-0");
+  const reused = await refresh(env, "refresh-token-0");
+
+  assert.strictEqual(reused.status, 401);
+  assert.strictEqual(reused.body.error, "refresh_token_reused");
+
+  // The current token of the session stops working too
+  const current = await refresh(env, rotated.body.refresh_token);
+  assert.strictEqual(current.status, 401);
+  assert.strictEqual(current.body.error, "invalid_refresh_token");
+
+  const { db } = env.PACKSYNCR_DB;
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) AS total FROM sessions`).get().total, 0);
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) AS total FROM auth_events WHERE event = 'refresh_failed'`).get().total, 1);
+});
+
+test("a refresh token that was never issued is refused", async () => {
+  const env = await createEnv();
+
+  const unknown = await refresh(env, "refresh-token-unknown");
+  assert.strictEqual(unknown.status, 401);
+  assert.strictEqual(unknown.body.error, "invalid_refresh_token");
+  assert.strictEqual((await refresh(env, "refresh-token-0")).status, 200);
+});
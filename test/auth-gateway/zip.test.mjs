@@ -0,0 +1,108 @@
+import test from "node:test";
+import assert from "node:assert";
+
+const { crc32, createZipStream } = await import("../../workers/auth-gateway/zip.js");
+
+const MAX_UINT32 = 0xFFFFFFFF;
+
+function toEntries(files) {
+  const encoder = new TextEncoder();
+  return files.map(([name, text]) => {
+    const bytes = encoder.encode(text);
+    return { name, bytes, size_bytes: bytes.length, crc32: crc32(bytes) };
+  });
+}
+
+async function readZip(entries) {
+  const { stream, length } = createZipStream(entries, entry => new Blob([entry.bytes]).stream(), new Date(Date.UTC(2026, 0, 2, 3, 4, 6)));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  return { bytes, length, view: new DataView(bytes.buffer) };
+}
+
+// Read every entry through the central directory, the way unzip tools do
+function listEntries({ bytes, view }) {
+  const decoder = new TextDecoder();
+  const end = bytes.length - 22;
+  assert.strictEqual(view.getUint32(end, true), 0x06054B50);
+  const count = view.getUint16(end + 10, true);
+
+  const entries = [];
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(view.getUint32(offset, true), 0x02014B50);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    assert.strictEqual(view.getUint32(localOffset, true), 0x04034B50);
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataOffset, dataOffset + size);
+    entries.push({ name, text: decoder.decode(data), crc32: view.getUint32(offset + 16, true), actual_crc32: crc32(data) });
+
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return entries;
+}
+
+test("crc32 matches the standard check value", () => {
+  assert.strictEqual(crc32(new TextEncoder().encode("123456789")), 0xCBF43926);
+  assert.strictEqual(crc32(new Uint8Array(0)), 0);
+});
+
+test("an archive holds every entry with its name, data and CRC-32, at the announced length", async () => {
+  const zip = await readZip(toEntries([
+    ["profile.json", JSON.stringify({ username: "Steve" })],
+    ["resources/Fäithful/pack.mcmeta", "{\"pack\":{}}"],
+    ["empty.txt", ""]
+  ]));
+
+  assert.strictEqual(zip.bytes.length, zip.length);
+  const entries = listEntries(zip);
+  assert.deepStrictEqual(entries.map(entry => entry.name), ["profile.json", "resources/Fäithful/pack.mcmeta", "empty.txt"]);
+  assert.strictEqual(entries[0].text, "{\"username\":\"Steve\"}");
+  for (const entry of entries) {
+    assert.strictEqual(entry.crc32, entry.actual_crc32);
+  }
+  // No ZIP64 record for a small archive
+  assert.notStrictEqual(zip.view.getUint32(zip.bytes.length - 22 - 20, true), 0x07064B50);
+});
+
+test("an archive with 65,535 entries or more gets a ZIP64 end of central directory", async () => {
+  const count = 70000;
+  const entries = Array.from({ length: count }, (_, i) => ({ name: `${i}`, bytes: new Uint8Array(0), size_bytes: 0, crc32: 0 }));
+  const { bytes, length, view } = await readZip(entries);
+
+  assert.strictEqual(bytes.length, length);
+  const end = bytes.length - 22;
+  assert.strictEqual(view.getUint16(end + 10, true), 0xFFFF);
+
+  const locator = end - 20;
+  assert.strictEqual(view.getUint32(locator, true), 0x07064B50);
+  const zip64End = Number(view.getBigUint64(locator + 8, true));
+  assert.strictEqual(view.getUint32(zip64End, true), 0x06064B50);
+  assert.strictEqual(view.getBigUint64(zip64End + 32, true), BigInt(count));
+  assert.strictEqual(view.getBigUint64(zip64End + 48, true), BigInt(view.getUint32(end + 16, true)));
+});
+
+test("an entry of 4 GiB or more gets its sizes in a ZIP64 extra field", async () => {
+  const size = 2 ** 32 + 10;
+  const { stream, length } = createZipStream([{ name: "world.zip", size_bytes: size, crc32: 0 }], () => {
+    throw new Error("the entry data is not read in this test");
+  });
+
+  // Only read the local header, name and extra field, which come before the entry data
+  const reader = stream.getReader();
+  const header = new DataView((await reader.read()).value.slice().buffer);
+  assert.strictEqual((await reader.read()).value.length, "world.zip".length);
+  const extra = new DataView((await reader.read()).value.slice().buffer);
+  await reader.cancel();
+
+  assert.strictEqual(header.getUint16(4, true), 45);
+  assert.strictEqual(header.getUint32(18, true), MAX_UINT32);
+  assert.strictEqual(header.getUint32(22, true), MAX_UINT32);
+  assert.strictEqual(extra.getUint16(0, true), 0x0001);
+  assert.strictEqual(extra.getBigUint64(4, true), BigInt(size));
+  assert.strictEqual(extra.getBigUint64(12, true), BigInt(size));
+  assert.ok(length > size);
+});
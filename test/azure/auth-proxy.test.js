@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+const authProxy = require("../../azure/auth-proxy.js");
+
+// Mojang-style entitlement signing key (the proxy only gets the public half)
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+process.env.LOGIN_STATE_SECRET = "test-login-state-secret";
+process.env.INTERNAL_SECRET = "test-internal-secret";
+process.env.CLIENT_ID = "test-client-id";
+process.env.CLIENT_SECRET = "test-client-secret";
+process.env.REDIRECT_URI = "https://www.packsyncr.com/login";
+process.env.MOJANG_ENTITLEMENT_PUBLIC_KEY = publicKey.export({ type: "spki", format: "pem" });
+
+const PROFILE = { id: "0f1e2d3c4b5a69788796a5b4c3d2e1f0", name: "Steve" };
+
+// Sign an entitlement JWT the way Mojang does
+function signEntitlements(names) {
+    const header = Buffer.from(JSON.stringify({ alg: "RS256" })).toString("base64url");
+    const payload = Buffer.from(JSON.stringify({ entitlements: names.map(name => ({ name })) })).toString("base64url");
+    const signature = crypto.sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), privateKey).toString("base64url");
+    return `${header}.${payload}.${signature}`;
+}
+
+function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { "Content-Type": "application/json", ...headers }
+    });
+}
+
+// Successful response for every step of the chain (keyed by URL), overridable per test
+function upstreams(overrides = {}) {
+    return {
+        "https://login.microsoftonline.com/consumers/oauth2/v2.0/token": options =>
+            options.body.get("grant_type") === "authorization_code"
+                ? json({ access_token: "graph-token", refresh_token: "ms-refresh-token" })
+                : json({ access_token: "xbl-access-token" }),
+        "https://graph.microsoft.com/v1.0/me": () => json({ mail: "steve@example.com" }),
+        "https://user.auth.xboxlive.com/user/authenticate": () => json({ Token: "xbl-token", DisplayClaims: { xui: [{ uhs: "uhs" }] } }),
+        "https://xsts.auth.xboxlive.com/xsts/authorize": () => json({ Token: "xsts-token" }),
+        "https://api.minecraftservices.com/authentication/login_with_xbox": () => json({ access_token: "mc-token" }),
+        "https://api.minecraftservices.com/entitlements/mcstore": () => json({ items: [], signature: signEntitlements(["product_minecraft"]) }),
+        "https://api.minecraftservices.com/minecraft/profile": () => json(PROFILE),
+        "https://auth.packsyncr.com/refresh-token": () => json({ refresh_token: "refresh-token", csrf_token: "csrf-token", newUser: true }),
+        ...overrides
+    };
+}
+
+// Install a fake fetch answering from the given upstreams, recording every call
+function installFakeFetch(responders) {
+    const calls = [];
+    authProxy.setHttpClient(authProxy.createHttpClient(async (url, options) => {
+        calls.push({ url, options });
+        const responder = responders[url];
+        if (!responder) {
+            throw new Error(`unexpected request to ${url}`);
+        }
+        return responder(options, calls.filter(call => call.url === url).length);
+    }));
+    return calls;
+}
+
+function createContext() {
+    const log = () => {};
+    log.error = () => {};
+    log.warn = () => {};
+    return { log };
+}
+
+// Start a login, then complete it with an authorization code
+async function login() {
+    const startContext = createContext();
+    await authProxy(startContext, { method: "POST", headers: {}, body: { action: "start" } });
+    assert.strictEqual(startContext.res.status, 200);
+
+    const loginSession = startContext.res.cookies.find(cookie => cookie.name === "login_session").value;
+    const context = createContext();
+    await authProxy(context, {
+        method: "POST",
+        headers: { cookie: `login_session=${loginSession}`, "user-agent": "test" },
+        body: { code: "auth-code", state: startContext.res.body.state }
+    });
+    return context.res;
+}
+
+test("completes the login chain and sets the session cookies", async () => {
+    const calls = installFakeFetch(upstreams());
+
+    const res = await login();
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { success: true, csrf_token: "csrf-token", newUser: true, profileUpdated: false });
+    const cookies = Object.fromEntries(res.cookies.map(cookie => [cookie.name, cookie.value]));
+    assert.strictEqual(cookies.refresh_token, "refresh-token");
+    assert.strictEqual(cookies.uuid, PROFILE.id);
+
+    const gatewayCall = calls.find(call => call.url === "https://auth.packsyncr.com/refresh-token");
+    const gatewayBody = JSON.parse(gatewayCall.options.body);
+    assert.strictEqual(gatewayBody.email, "steve@example.com");
+    assert.strictEqual(gatewayBody.ownership_source, "purchase");
+    assert.ok(gatewayCall.options.headers["x-internal-signature"]);
+});
+
+test("maps XSTS errors to stable error codes", async () => {
+    installFakeFetch(upstreams({
+        "https://xsts.auth.xboxlive.com/xsts/authorize": () => json({ XErr: 2148916233 }, 401)
+    }));
+
+    const res = await login();
+
+    assert.strictEqual(res.status, 403);
+    assert.deepStrictEqual(JSON.parse(res.body), { error: "xbox_profile_missing" });
+});
+
+test("retries idempotent steps after a retryable status", async () => {
+    const calls = installFakeFetch(upstreams({
+        "https://user.auth.xboxlive.com/user/authenticate": (options, attempt) => attempt === 1
+            ? json({}, 503, { "Retry-After": "0" })
+            : json({ Token: "xbl-token", DisplayClaims: { xui: [{ uhs: "uhs" }] } })
+    }));
+
+    const res = await login();
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(calls.filter(call => call.url === "https://user.auth.xboxlive.com/user/authenticate").length, 2);
+});
+
+test("does not retry the single-use authorization code", async () => {
+    const calls = installFakeFetch(upstreams({
+        "https://login.microsoftonline.com/consumers/oauth2/v2.0/token": () => json({}, 503, { "Retry-After": "0" })
+    }));
+
+    const res = await login();
+
+    assert.strictEqual(res.status, 500);
+    assert.deepStrictEqual(JSON.parse(res.body), { error: "email_token_retrieval_failed" });
+    assert.strictEqual(calls.length, 1);
+});
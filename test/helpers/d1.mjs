@@ -0,0 +1,124 @@
+import { DatabaseSync } from "node:sqlite";
+import { readdirSync, readFileSync } from "node:fs";
+
+const MIGRATIONS_URL = new URL("../../migrations/", import.meta.url);
+
+// Tables that existed before migrations/, with only the columns the workers use
+const BASELINE_SCHEMA = `
+  CREATE TABLE users (
+    uuid TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    email TEXT,
+    packs_created INTEGER NOT NULL DEFAULT 0,
+    packs_limit INTEGER NOT NULL DEFAULT 10,
+    resources_created INTEGER NOT NULL DEFAULT 0,
+    resources_limit INTEGER NOT NULL DEFAULT 10,
+    packs_followed INTEGER NOT NULL DEFAULT 0,
+    follow_limit INTEGER NOT NULL DEFAULT 50
+  );
+  CREATE TABLE refresh_tokens (
+    uuid TEXT NOT NULL,
+    token_value TEXT,
+    expires_at INTEGER
+  );
+  CREATE TABLE resources (
+    resource_uuid TEXT PRIMARY KEY,
+    owner_uuid TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'custom',
+    name TEXT NOT NULL DEFAULT '',
+    description TEXT,
+    created_at INTEGER,
+    updated_at INTEGER
+  );
+  CREATE TABLE resource_files (
+    resource_uuid TEXT NOT NULL,
+    file_uuid TEXT NOT NULL,
+    r2_key TEXT NOT NULL,
+    PRIMARY KEY (resource_uuid, file_uuid)
+  );
+  CREATE TABLE resource_invite_codes (
+    invite_code TEXT PRIMARY KEY,
+    resource_uuid TEXT NOT NULL,
+    creator_uuid TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    max_uses INTEGER NOT NULL,
+    uses INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE TABLE resource_packs (
+    pack_uuid TEXT PRIMARY KEY,
+    owner_uuid TEXT NOT NULL,
+    name TEXT NOT NULL DEFAULT '',
+    description TEXT,
+    resources_used INTEGER NOT NULL DEFAULT 0,
+    resources_limit INTEGER NOT NULL DEFAULT 50,
+    created_at INTEGER,
+    updated_at INTEGER
+  );
+  CREATE TABLE pack_collaborators (
+    pack_uuid TEXT NOT NULL,
+    user_uuid TEXT NOT NULL,
+    role TEXT NOT NULL,
+    joined_at INTEGER NOT NULL,
+    PRIMARY KEY (pack_uuid, user_uuid)
+  );
+  CREATE TABLE pack_resources (
+    pack_uuid TEXT NOT NULL,
+    resource_uuid TEXT NOT NULL,
+    added_by TEXT NOT NULL,
+    added_at INTEGER NOT NULL,
+    PRIMARY KEY (pack_uuid, resource_uuid)
+  );
+`;
+
+/**
+ * In-memory D1 binding backed by node:sqlite, with every migration applied.
+ * Supports the subset of the D1 API the workers use: prepare/bind/first/all/run and batch.
+ */
+export function createD1() {
+  const db = new DatabaseSync(":memory:");
+  db.exec(BASELINE_SCHEMA);
+  for (const file of readdirSync(MIGRATIONS_URL).filter(name => name.endsWith(".sql")).sort()) {
+    db.exec(readFileSync(new URL(file, MIGRATIONS_URL), "utf8"));
+  }
+
+  function run(sql, params) {
+    const { changes, lastInsertRowid } = db.prepare(sql).run(...params);
+    return { success: true, meta: { changes: Number(changes), last_row_id: Number(lastInsertRowid) } };
+  }
+
+  function statement(sql, params = []) {
+    return {
+      sql,
+      params,
+      bind: (...values) => statement(sql, values),
+      async first(column) {
+        const row = db.prepare(sql).get(...params) ?? null;
+        return row && column ? row[column] : row;
+      },
+      async all() {
+        return { results: db.prepare(sql).all(...params), success: true, meta: {} };
+      },
+      async run() {
+        return run(sql, params);
+      }
+    };
+  }
+
+  return {
+    db,
+    prepare: sql => statement(sql),
+    // Runs without yielding, so like D1 no other statement can interleave with the batch's transaction
+    async batch(statements) {
+      db.exec("BEGIN");
+      try {
+        const results = statements.map(stmt => run(stmt.sql, stmt.params));
+        db.exec("COMMIT");
+        return results;
+      } catch (err) {
+        db.exec("ROLLBACK");
+        throw err;
+      }
+    }
+  };
+}
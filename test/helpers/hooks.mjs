@@ -0,0 +1,9 @@
+// Resolve the workers' "./utilities/*.js" imports (bundled next to each worker at deploy) to the repo's utilities/
+const UTILITIES_URL = new URL("../../utilities/", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("./utilities/") && context.parentURL?.includes("/workers/")) {
+    return nextResolve(new URL(specifier.slice("./utilities/".length), UTILITIES_URL).href, context);
+  }
+  return nextResolve(specifier, context);
+}
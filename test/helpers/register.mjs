@@ -0,0 +1,4 @@
+import { register } from "node:module";
+
+// Import before (dynamically) importing a worker module
+register("./hooks.mjs", import.meta.url);
@@ -0,0 +1,125 @@
+import test from "node:test";
+import assert from "node:assert";
+import "../helpers/register.mjs";
+import { createD1 } from "../helpers/d1.mjs";
+
+const { redeemPackInvite, addResourceToPack } = await import("../../workers/pack-handler/invites.js");
+
+const OWNER = "00000000000000000000000000000001";
+const ALEX = "00000000000000000000000000000002";
+const STEVE = "00000000000000000000000000000003";
+
+// Manifest bucket holding an empty manifest for every pack
+function createManifestBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    async get(key) {
+      const body = objects.get(key) ?? JSON.stringify({ pack: {}, resources: [] });
+      return { text: async () => body };
+    },
+    async put(key, body) {
+      objects.set(key, body);
+    }
+  };
+}
+
+function createEnv() {
+  const env = { PACKSYNCR_DB: createD1(), MANIFEST_BUCKET: createManifestBucket() };
+  const { db } = env.PACKSYNCR_DB;
+  for (const [uuid, username] of [[OWNER, "Notch"], [ALEX, "Alex"], [STEVE, "Steve"]]) {
+    db.prepare(`INSERT INTO users (uuid, username) VALUES (?, ?)`).run(uuid, username);
+  }
+  db.prepare(`INSERT INTO resource_packs (pack_uuid, owner_uuid) VALUES ('pack-a', ?), ('pack-b', ?)`).run(OWNER, OWNER);
+  db.prepare(`INSERT INTO resources (resource_uuid, owner_uuid, name) VALUES ('resource-1', ?, 'Faithful')`).run(ALEX);
+  return env;
+}
+
+function count(env, sql, ...params) {
+  return env.PACKSYNCR_DB.db.prepare(sql).get(...params).total;
+}
+
+test("redeeming a pack invite adds the collaborator and counts the follow and the use", async () => {
+  const env = createEnv();
+  env.PACKSYNCR_DB.db.prepare(`
+    INSERT INTO pack_invite_codes (invite_code, pack_uuid, creator_uuid, role, created_at, expires_at, max_uses)
+    VALUES ('p-invite', 'pack-a', ?, 'editor', unixepoch(), -1, -1)
+  `).run(OWNER);
+
+  await redeemPackInvite(env, "p-invite", ALEX);
+
+  assert.strictEqual(count(env, `SELECT COUNT(*) AS total FROM pack_collaborators WHERE user_uuid = ? AND role = 'editor'`, ALEX), 1);
+  assert.strictEqual(count(env, `SELECT packs_followed AS total FROM users WHERE uuid = ?`, ALEX), 1);
+  assert.strictEqual(count(env, `SELECT uses AS total FROM pack_invite_codes`), 1);
+  await assert.rejects(redeemPackInvite(env, "p-invite", ALEX), { message: "already_following_pack" });
+});
+
+test("concurrent redemptions of a single-use pack invite add only one collaborator", async () => {
+  const env = createEnv();
+  env.PACKSYNCR_DB.db.prepare(`
+    INSERT INTO pack_invite_codes (invite_code, pack_uuid, creator_uuid, role, created_at, expires_at, max_uses)
+    VALUES ('p-invite', 'pack-a', ?, 'follower', unixepoch(), -1, 1)
+  `).run(OWNER);
+
+  const results = await Promise.allSettled([redeemPackInvite(env, "p-invite", ALEX), redeemPackInvite(env, "p-invite", STEVE)]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ["fulfilled", "rejected"]);
+  assert.strictEqual(results.find(result => result.status === "rejected").reason.message, "invite_used_up");
+  assert.strictEqual(count(env, `SELECT COUNT(*) AS total FROM pack_collaborators`), 1);
+  assert.strictEqual(count(env, `SELECT SUM(packs_followed) AS total FROM users`), 1);
+  assert.strictEqual(count(env, `SELECT uses AS total FROM pack_invite_codes`), 1);
+});
+
+test("a resource invite adds the resource to the pack and its manifest", async () => {
+  const env = createEnv();
+  env.PACKSYNCR_DB.db.prepare(`
+    INSERT INTO resource_invite_codes (invite_code, resource_uuid, creator_uuid, created_at, expires_at, max_uses)
+    VALUES ('r-invite', 'resource-1', ?, unixepoch(), -1, -1)
+  `).run(ALEX);
+
+  await addResourceToPack(env, "pack-a", OWNER, "r-invite");
+
+  assert.strictEqual(count(env, `SELECT COUNT(*) AS total FROM pack_resources WHERE pack_uuid = 'pack-a' AND added_by = ?`, OWNER), 1);
+  assert.strictEqual(count(env, `SELECT resources_used AS total FROM resource_packs WHERE pack_uuid = 'pack-a'`), 1);
+  assert.strictEqual(count(env, `SELECT uses AS total FROM resource_invite_codes`), 1);
+  const manifest = JSON.parse(env.MANIFEST_BUCKET.objects.get("packs/pack-a-manifest.json"));
+  assert.deepStrictEqual(manifest.resources.map(resource => resource.resource_uuid), ["resource-1"]);
+
+  await assert.rejects(addResourceToPack(env, "pack-a", OWNER, "r-invite"), { message: "resource_already_in_pack" });
+  await assert.rejects(addResourceToPack(env, "pack-b", ALEX, "r-invite"), { message: "unauthorized_action" });
+});
+
+test("concurrent redemptions of a single-use resource invite link the resource once", async () => {
+  const env = createEnv();
+  env.PACKSYNCR_DB.db.prepare(`
+    INSERT INTO resource_invite_codes (invite_code, resource_uuid, creator_uuid, created_at, expires_at, max_uses)
+    VALUES ('r-invite', 'resource-1', ?, unixepoch(), -1, 1)
+  `).run(ALEX);
+
+  const results = await Promise.allSettled([
+    addResourceToPack(env, "pack-a", OWNER, "r-invite"),
+    addResourceToPack(env, "pack-b", OWNER, "r-invite")
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ["fulfilled", "rejected"]);
+  assert.strictEqual(results.find(result => result.status === "rejected").reason.message, "invite_used_up");
+  assert.strictEqual(count(env, `SELECT COUNT(*) AS total FROM pack_resources`), 1);
+  assert.strictEqual(count(env, `SELECT SUM(resources_used) AS total FROM resource_packs`), 1);
+  assert.strictEqual(count(env, `SELECT uses AS total FROM resource_invite_codes`), 1);
+});
+
+test("resources of an account past its deletion cooling-off period cannot be added to packs", async () => {
+  const env = createEnv();
+  env.PACKSYNCR_DB.db.prepare(`
+    INSERT INTO resource_invite_codes (invite_code, resource_uuid, creator_uuid, created_at, expires_at, max_uses)
+    VALUES ('r-invite', 'resource-1', ?, unixepoch(), -1, -1)
+  `).run(ALEX);
+  env.PACKSYNCR_DB.db.prepare(`
+    INSERT INTO account_deletions (uuid, requested_at, purge_after, signed_out_at, packs_purged_at)
+    VALUES (?, unixepoch() - 604800, unixepoch(), unixepoch(), unixepoch())
+  `).run(ALEX);
+
+  await assert.rejects(addResourceToPack(env, "pack-a", OWNER, "r-invite"), { message: "resource_not_found" });
+  assert.strictEqual(count(env, `SELECT COUNT(*) AS total FROM pack_resources`), 0);
+  assert.strictEqual(count(env, `SELECT uses AS total FROM resource_invite_codes`), 0);
+});
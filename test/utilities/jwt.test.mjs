@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert";
+import "../helpers/register.mjs";
+import { createD1 } from "../helpers/d1.mjs";
+
+const { generateJWT, getAccessTokenPayload, forgetTokenState, hasScope } = await import("../../utilities/jwt.js");
+const { createApiToken } = await import("../../utilities/api-tokens.js");
+const { handleAdminRequest } = await import("../../workers/auth-gateway/admin.js");
+const { signOutAllDevices } = await import("../../workers/auth-gateway/account.js");
+
+const ADMIN_UUID = "a0a0a0a0a0a0a0a0a0a0a0a0a0a0a0a0";
+const USER_UUID = "0f1e2d3c4b5a69788796a5b4c3d2e1f0";
+
+function createEnv() {
+  const env = { PACKSYNCR_DB: createD1(), JWT_SECRET: "test-jwt-secret-long-enough-for-hs256" };
+  env.PACKSYNCR_DB.db.exec(`
+    INSERT INTO users (uuid, username, role) VALUES ('${ADMIN_UUID}', 'Alex', 'admin'), ('${USER_UUID}', 'Steve', 'user');
+  `);
+  return env;
+}
+
+async function bearer(env, uuid, claims) {
+  return new Request("https://auth.packsyncr.com/me", {
+    headers: { Authorization: `Bearer ${await generateJWT(uuid, "access", env, { ver: 0, ...claims })}` }
+  });
+}
+
+test("a suspended user's access token is refused with account_suspended", async () => {
+  const env = createEnv();
+  const request = await bearer(env, USER_UUID, { scope: "account:read" });
+  assert.strictEqual((await getAccessTokenPayload(request, env)).sub, USER_UUID);
+
+  // Suspend through the admin API, which also bumps the user's token version
+  const adminToken = await generateJWT(ADMIN_UUID, "access", env, { ver: 0, scope: "admin", role: "admin" });
+  const response = await handleAdminRequest(new Request("https://auth.packsyncr.com/admin/users/suspend", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${adminToken}` },
+    body: JSON.stringify({ uuid: USER_UUID, reason: "spam" })
+  }), env, "/admin/users/suspend");
+  assert.strictEqual(response.status, 200);
+
+  await assert.rejects(getAccessTokenPayload(request, env), { message: "account_suspended" });
+});
+
+test("a token issued before a sign-out is refused with token_revoked", async () => {
+  const env = createEnv();
+  const request = await bearer(env, USER_UUID, { scope: "account:read" });
+
+  env.PACKSYNCR_DB.db.exec(`UPDATE users SET token_version = token_version + 1 WHERE uuid = '${USER_UUID}'`);
+  env.TOKEN_VERSION_CACHE_SECONDS = "0";
+
+  await assert.rejects(getAccessTokenPayload(request, env), { message: "token_revoked" });
+});
+
+test("a token of a revoked session is refused with token_revoked", async () => {
+  const env = createEnv();
+  forgetTokenState(USER_UUID);
+  const startSession = session_id => env.PACKSYNCR_DB.db.prepare(`
+    INSERT INTO sessions (session_id, uuid, created_at, last_used_at, expires_at)
+    VALUES (?, ?, unixepoch(), unixepoch(), unixepoch() + 3600)
+  `).run(session_id, USER_UUID);
+
+  startSession("session-1");
+  const first = await bearer(env, USER_UUID, { sid: "session-1", scope: "account:read" });
+  assert.strictEqual((await getAccessTokenPayload(first, env)).sid, "session-1");
+
+  // A session started after the state was cached is still accepted
+  startSession("session-2");
+  const second = await bearer(env, USER_UUID, { sid: "session-2", scope: "account:read" });
+  assert.strictEqual((await getAccessTokenPayload(second, env)).sid, "session-2");
+
+  env.PACKSYNCR_DB.db.prepare(`DELETE FROM sessions WHERE session_id = 'session-1'`).run();
+  forgetTokenState(USER_UUID);
+
+  await assert.rejects(getAccessTokenPayload(first, env), { message: "token_revoked" });
+  assert.strictEqual((await getAccessTokenPayload(second, env)).sid, "session-2");
+});
+
+test("signing out every device refuses earlier access and API tokens at once, and accepts new ones", async () => {
+  const env = createEnv();
+  forgetTokenState(USER_UUID);
+  const before = await bearer(env, USER_UUID, { scope: "account:read" });
+  const { token } = await createApiToken(env, USER_UUID, "launcher", "packs:read", undefined, 0);
+  const apiRequest = new Request("https://auth.packsyncr.com/me", { headers: { Authorization: `Bearer ${token}` } });
+  assert.strictEqual((await getAccessTokenPayload(before, env)).ver, 0);
+  assert.strictEqual((await getAccessTokenPayload(apiRequest, env)).ver, 0);
+
+  // The cached token version of this isolate is dropped along with the bump
+  await signOutAllDevices(USER_UUID, env);
+
+  await assert.rejects(getAccessTokenPayload(before, env), { message: "token_revoked" });
+  await assert.rejects(getAccessTokenPayload(apiRequest, env), { message: "token_revoked" });
+  const after = await bearer(env, USER_UUID, { ver: 1, scope: "account:read" });
+  assert.strictEqual((await getAccessTokenPayload(after, env)).ver, 1);
+});
+
+test("a token without a scope claim only grants the default scopes", () => {
+  assert.strictEqual(hasScope({ sub: USER_UUID }, "packs:write"), true);
+  assert.strictEqual(hasScope({ sub: USER_UUID, role: "admin" }, "admin"), false);
+  assert.strictEqual(hasScope({ sub: ADMIN_UUID, scope: "packs:read admin" }, "admin"), true);
+});
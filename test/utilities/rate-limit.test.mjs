@@ -0,0 +1,121 @@
+import test, { mock } from "node:test";
+import assert from "node:assert";
+
+const { RateLimiter, checkRateLimit, checkLockout, recordFailure } = await import("../../utilities/rate-limit.js");
+
+// Durable Object state with in-memory storage, counting the storage writes
+function createState(data = new Map()) {
+  const state = {
+    data,
+    writes: 0,
+    alarm: null,
+    storage: {
+      get: async key => structuredClone(data.get(key)),
+      put: async (key, value) => {
+        state.writes++;
+        data.set(key, structuredClone(value));
+      },
+      deleteAll: async () => data.clear(),
+      getAlarm: async () => state.alarm,
+      setAlarm: async time => {
+        state.alarm = time;
+      }
+    },
+    blockConcurrencyWhile(callback) {
+      state.ready = callback();
+      return state.ready;
+    }
+  };
+  return state;
+}
+
+// RATE_LIMITER binding with one RateLimiter per bucket key
+function createNamespace() {
+  const objects = new Map();
+  return {
+    objects,
+    idFromName: name => name,
+    get(id) {
+      return {
+        async fetch(url, init) {
+          if (!objects.has(id)) {
+            const state = createState();
+            objects.set(id, { state, object: new RateLimiter(state) });
+          }
+          const { state, object } = objects.get(id);
+          await state.ready;
+          return await object.fetch(new Request(url, init));
+        }
+      };
+    }
+  };
+}
+
+test("a route allows its limit per identity, then tells the client when to retry", async () => {
+  const env = { RATE_LIMITER: createNamespace() };
+
+  for (let i = 0; i < 10; i++) {
+    assert.strictEqual(await checkRateLimit(env, "/device/code", ["ip:192.0.2.1"]), null);
+  }
+  assert.strictEqual(await checkRateLimit(env, "/device/code", ["ip:192.0.2.1"]), 6);
+  assert.strictEqual(await checkRateLimit(env, "/device/code", ["ip:192.0.2.2"]), null);
+});
+
+test("requests are counted in memory and only the alarm writes the bucket to storage", async () => {
+  mock.timers.enable({ apis: ["Date"], now: 1_000_000_000 });
+  try {
+    const env = { RATE_LIMITER: createNamespace() };
+    for (let i = 0; i < 10; i++) {
+      await checkRateLimit(env, "/device/code", ["ip:192.0.2.1"]);
+    }
+
+    const { state, object } = env.RATE_LIMITER.objects.get("/device/code:ip:192.0.2.1");
+    assert.strictEqual(state.writes, 0);
+    assert.strictEqual(state.alarm, 1_000_000_000 + 10_000);
+
+    await object.alarm();
+    assert.strictEqual(state.writes, 1);
+    assert.strictEqual(state.data.get("bucket").tokens, 0);
+
+    // A new instance (after the object was evicted) picks the persisted bucket up
+    const restored = createState(state.data);
+    env.RATE_LIMITER.objects.set("/device/code:ip:192.0.2.1", { state: restored, object: new RateLimiter(restored) });
+    assert.strictEqual(await checkRateLimit(env, "/device/code", ["ip:192.0.2.1"]), 6);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("the alarm forgets a bucket once it would be full again", async () => {
+  mock.timers.enable({ apis: ["Date"], now: 1_000_000_000 });
+  try {
+    const env = { RATE_LIMITER: createNamespace() };
+    await checkRateLimit(env, "/device/code", ["ip:192.0.2.1"]);
+    const { state, object } = env.RATE_LIMITER.objects.get("/device/code:ip:192.0.2.1");
+
+    await object.alarm();
+    assert.ok(state.data.has("bucket"));
+
+    mock.timers.tick(60_000);
+    await object.alarm();
+    assert.strictEqual(state.data.size, 0);
+    assert.strictEqual(object.bucket, null);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("failures beyond the failure limit lock the identity out", async () => {
+  const env = { RATE_LIMITER: createNamespace() };
+
+  for (let i = 0; i < 10; i++) {
+    assert.strictEqual(await checkLockout(env, "invite-failures", "uuid:steve"), null);
+    await recordFailure(env, "invite-failures", "uuid:steve");
+  }
+  assert.strictEqual(await checkLockout(env, "invite-failures", "uuid:steve"), 1800);
+  assert.strictEqual(await checkLockout(env, "invite-failures", "uuid:alex"), null);
+});
+
+test("requests are allowed when the rate limiter is not bound", async () => {
+  assert.strictEqual(await checkRateLimit({}, "/device/code", ["ip:192.0.2.1"]), null);
+});
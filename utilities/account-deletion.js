@@ -0,0 +1,76 @@
+/**
+ * Account deletion runs in steps once the cooling-off period has passed, each owned by the worker that owns the data:
+ * 1. sign_out (auth-gateway): revoke every session and issued token again, so nothing is created during the purge
+ * 2. packs (pack-handler): owned packs with their manifests, collaborator rows, pack invites, resources linked into other packs
+ * 3. resources (resource-handler): owned resources with their R2 files and resource invites
+ * 4. account (auth-gateway): sessions, legacy refresh tokens, API tokens and finally the users row and the account_deletions row
+ * Once the cooling-off period has passed, the user's resources can no longer be added to packs (notBeingDeletedSql).
+ * Each step is idempotent and only recorded as done once it fully succeeds, so a failed step is retried on the next scheduled run.
+ */
+const ACCOUNT_DELETION_STEPS = {
+  sign_out: { column: "signed_out_at", after: null },
+  packs: { column: "packs_purged_at", after: "signed_out_at" },
+  resources: { column: "resources_purged_at", after: "packs_purged_at" },
+  account: { column: "completed_at", after: "resources_purged_at" }
+};
+
+const ACCOUNT_DELETION_BATCH_SIZE = 10;
+
+/**
+ * Run one deletion step for every account that is due and has finished the previous step.
+ * purge(env, uuid) must be safe to run again after a partial failure.
+ */
+export async function runAccountDeletionStep(env, step, purge) {
+  const now = Math.floor(Date.now() / 1000);
+  const { column, after } = ACCOUNT_DELETION_STEPS[step];
+
+  const { results } = await env.PACKSYNCR_DB.prepare(`
+    SELECT uuid
+    FROM account_deletions
+    WHERE purge_after <= ? AND ${column} IS NULL ${after ? `AND ${after} IS NOT NULL` : ""}
+    ORDER BY purge_after ASC
+    LIMIT ?
+  `).bind(now, ACCOUNT_DELETION_BATCH_SIZE).all();
+
+  for (const { uuid } of results) {
+    try {
+      await purge(env, uuid);
+
+      await env.PACKSYNCR_DB.prepare(`
+        UPDATE account_deletions
+        SET ${column} = ?
+        WHERE uuid = ?
+      `).bind(Math.floor(Date.now() / 1000), uuid).run();
+    } catch (err) {
+      console.error(`Account deletion step ${step} failed for ${uuid}:`, err);
+    }
+  }
+}
+
+/**
+ * Check if an account is past its cooling-off period and being purged.
+ */
+export async function isAccountBeingDeleted(env, uuid) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const deletion = await env.PACKSYNCR_DB.prepare(`
+    SELECT uuid
+    FROM account_deletions
+    WHERE uuid = ? AND purge_after <= ? AND completed_at IS NULL
+  `).bind(uuid, now).first();
+
+  return deletion !== null;
+}
+
+/**
+ * SQL condition that is true when the user in ownerColumn is not past the cooling-off period of a deletion.
+ * Bind the current unix time for its single parameter.
+ */
+export function notBeingDeletedSql(ownerColumn) {
+  return `NOT EXISTS (
+    SELECT 1 FROM account_deletions ad
+    WHERE ad.uuid = ${ownerColumn}
+      AND ad.purge_after <= ?
+      AND ad.completed_at IS NULL
+  )`;
+}
@@ -0,0 +1,140 @@
+import { sha256Hex, randomToken } from "./crypto.js";
+
+/**
+ * Personal API tokens are long-lived bearer tokens for scripts and launchers.
+ * They are 256-bit random values, so only a plain SHA-256 of each token is stored.
+ * Tokens carry the user's token_version from creation, so logout-all, bans and account deletion revoke them too.
+ */
+export const API_TOKEN_PREFIX = "psr_";
+
+// API Token Rules
+const API_TOKEN_NAME_MIN_LENGTH = 1;
+const API_TOKEN_NAME_MAX_LENGTH = 64;
+const API_TOKEN_LIMIT = 20;
+const MINIMUM_SET_DURATION = 3600;
+const LAST_USED_RESOLUTION = 60; // Only record last use once a minute to limit D1 writes
+
+/**
+ * Create a personal API token with the given scopes (already validated by parseScope) and optional duration (seconds).
+ * Returns the raw token, which is only ever shown once.
+ */
+export async function createApiToken(env, requester_uuid, name, scope, duration, token_version) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Check rules
+  if (name.length < API_TOKEN_NAME_MIN_LENGTH || name.length > API_TOKEN_NAME_MAX_LENGTH) {
+    throw new Error("invalid_name_length");
+  }
+
+  // Validate duration if defined
+  let expiration = -1;
+  if (duration !== undefined) {
+    if (!Number.isInteger(duration) || duration < MINIMUM_SET_DURATION) {
+      throw new Error("invalid_duration");
+    }
+    expiration = now + duration;
+  }
+
+  // Check if user can create another token
+  const count = await env.PACKSYNCR_DB.prepare(`
+    SELECT COUNT(*) AS total
+    FROM api_tokens
+    WHERE uuid = ?
+  `).bind(requester_uuid).first();
+
+  if (count.total >= API_TOKEN_LIMIT) {
+    throw new Error("api_token_limit_reached");
+  }
+
+  // Generate token and store its hash
+  const token_id = crypto.randomUUID();
+  const token = API_TOKEN_PREFIX + randomToken();
+
+  try {
+    await env.PACKSYNCR_DB.prepare(`
+      INSERT INTO api_tokens (
+        token_id,
+        uuid,
+        token_hash,
+        name,
+        scope,
+        token_version,
+        created_at,
+        expires_at,
+        last_used_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(token_id, requester_uuid, await sha256Hex(token), name, scope, token_version, now, expiration, null).run();
+  } catch {
+    throw new Error("db_insert_failed");
+  }
+
+  return { token, token_id, name, scope, created_at: now, expires_at: expiration };
+}
+
+/**
+ * Get a list of the user's API tokens (never includes the token itself).
+ */
+export async function listApiTokens(env, requester_uuid) {
+  const { results } = await env.PACKSYNCR_DB.prepare(`
+    SELECT token_id, name, scope, created_at, expires_at, last_used_at
+    FROM api_tokens
+    WHERE uuid = ?
+    ORDER BY created_at DESC
+  `).bind(requester_uuid).all();
+
+  return results;
+}
+
+/**
+ * Revoke one of the user's API tokens.
+ */
+export async function revokeApiToken(env, requester_uuid, token_id) {
+  const result = await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM api_tokens
+    WHERE token_id = ? AND uuid = ?
+  `).bind(token_id, requester_uuid).run();
+
+  if (result.meta.changes === 0) {
+    throw new Error("api_token_not_found");
+  }
+}
+
+/**
+ * Verify a personal API token and record its use.
+ * Returns a payload shaped like a verified access JWT, throws on failure.
+ */
+export async function verifyApiToken(env, token) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const row = await env.PACKSYNCR_DB.prepare(`
+    SELECT token_id, uuid, scope, token_version, expires_at, last_used_at
+    FROM api_tokens
+    WHERE token_hash = ?
+  `).bind(await sha256Hex(token)).first();
+
+  if (!row) {
+    throw new Error("invalid_api_token");
+  }
+
+  if (row.expires_at !== -1 && now >= row.expires_at) {
+    throw new Error("token_expired");
+  }
+
+  // Record last use
+  if (row.last_used_at === null || now - row.last_used_at >= LAST_USED_RESOLUTION) {
+    await env.PACKSYNCR_DB.prepare(`
+      UPDATE api_tokens
+      SET last_used_at = ?
+      WHERE token_id = ?
+    `).bind(now, row.token_id).run();
+  }
+
+  return {
+    sub: row.uuid,
+    type: "access",
+    scope: row.scope,
+    ver: row.token_version,
+    tid: row.token_id,
+    iss: "packsyncr"
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * CORS for the browser-facing workers.
+ * CORS_ALLOWED_ORIGINS (comma-separated string) lists the allowed origins, either exact ("http://localhost:5173")
+ * or a wildcard subdomain pattern ("https://*.packsyncr.pages.dev", which does not match the bare domain).
+ * Defaults to the production frontend. The matched origin is echoed back (credentials are allowed), never "*".
+ */
+const DEFAULT_ALLOWED_ORIGINS = "https://www.packsyncr.com";
+const PREFLIGHT_MAX_AGE = 600;
+
+/**
+ * Get the request's Origin if it is allowed, otherwise null.
+ */
+export function getAllowedOrigin(request, env) {
+  const origin = request.headers.get("Origin");
+  if (!origin) {
+    return null;
+  }
+
+  const patterns = (env.CORS_ALLOWED_ORIGINS || DEFAULT_ALLOWED_ORIGINS)
+    .split(",")
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+
+  return patterns.some(pattern => matchesOrigin(pattern, origin)) ? origin : null;
+}
+
+/**
+ * Add CORS headers for the request's origin to a response.
+ * Responses that already set Access-Control-Allow-Origin (e.g. public "*" endpoints) are left as they are.
+ */
+export function withCors(response, request, env) {
+  if (response.headers.has("Access-Control-Allow-Origin")) {
+    return response;
+  }
+
+  // Responses passed through from fetch or R2 can have immutable headers
+  const corsResponse = new Response(response.body, response);
+  corsResponse.headers.append("Vary", "Origin");
+
+  const origin = getAllowedOrigin(request, env);
+  if (origin) {
+    corsResponse.headers.set("Access-Control-Allow-Origin", origin);
+    corsResponse.headers.set("Access-Control-Allow-Credentials", "true");
+  }
+  return corsResponse;
+}
+
+/**
+ * Answer a preflight for a route ({ methods: [...], headers: [...] }, or null if the route does not exist).
+ */
+export function preflightResponse(request, env, route) {
+  const origin = getAllowedOrigin(request, env);
+  if (!route || !origin) {
+    return new Response(null, {
+      status: route ? 403 : 404,
+      headers: { "Vary": "Origin" }
+    });
+  }
+
+  return new Response(null, {
+    status: 204,
+    headers: {
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Credentials": "true",
+      "Access-Control-Allow-Methods": [...route.methods, "OPTIONS"].join(", "),
+      "Access-Control-Allow-Headers": route.headers.join(", "),
+      "Access-Control-Max-Age": String(PREFLIGHT_MAX_AGE),
+      "Vary": "Origin"
+    }
+  });
+}
+
+/**
+ * Build the preflight route for a path from a routes table keyed by "METHOD /path", or null if no method matches.
+ * Routes with cors: false are left out, a route's headers are allowed on top of headers.
+ */
+export function findPreflightRoute(routes, path, headers) {
+  const matches = Object.entries(routes)
+    .map(([key, route]) => [...key.split(" "), route])
+    .filter(([, routePath, route]) => routePath === path && route.cors !== false);
+
+  if (!matches.length) {
+    return null;
+  }
+  return {
+    methods: matches.map(([method]) => method),
+    headers: [...new Set([...headers, ...matches.flatMap(([, , route]) => route.headers ?? [])])]
+  };
+}
+
+/**
+ * Check an origin against an exact origin or a wildcard subdomain pattern (scheme and port must match).
+ */
+function matchesOrigin(pattern, origin) {
+  if (!pattern.includes("*")) {
+    return pattern === origin;
+  }
+
+  const match = pattern.match(/^([a-z][a-z0-9+.-]*:\/\/)\*\.([^/:*]+)(:\d+)?$/i);
+  if (!match) {
+    return false;
+  }
+  const [, scheme, domain, port = ""] = match;
+
+  const originMatch = origin.match(/^([a-z][a-z0-9+.-]*:\/\/)([^/:]+)(:\d+)?$/i);
+  if (!originMatch) {
+    return false;
+  }
+  const [, originScheme, host, originPort = ""] = originMatch;
+
+  return originScheme.toLowerCase() === scheme.toLowerCase()
+    && originPort === port
+    && host.toLowerCase().endsWith(`.${domain.toLowerCase()}`)
+    && /^[a-z0-9.-]+$/i.test(host.slice(0, -(domain.length + 1)));
+}
@@ -0,0 +1,67 @@
+/**
+ * Compute the HMAC-SHA-256 of data keyed with secret.
+ * Returns the digest as a lowercase hex string.
+ */
+export async function hmacSha256Hex(secret, data) {
+  if (!secret) {
+    throw new Error("missing_secret");
+  }
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+
+  const signatureBuffer = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(data)
+  );
+
+  return [...new Uint8Array(signatureBuffer)]
+    .map(b => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Compare two strings without returning early on the first mismatch.
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") {
+    return false;
+  }
+
+  const aBytes = new TextEncoder().encode(a);
+  const bBytes = new TextEncoder().encode(b);
+
+  let diff = aBytes.length ^ bBytes.length;
+  for (let i = 0; i < aBytes.length; i++) {
+    diff |= aBytes[i] ^ (bBytes[i % (bBytes.length || 1)] ?? 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Compute the SHA-256 of data.
+ * Returns the digest as a lowercase hex string.
+ */
+export async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(data));
+
+  return [...new Uint8Array(digest)]
+    .map(b => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Generate a random base64url string from the given number of bytes.
+ */
+export function randomToken(bytes = 32) {
+  return btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(bytes))))
+    .replace(/=/g, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
@@ -1,13 +1,213 @@
+import { API_TOKEN_PREFIX, verifyApiToken } from "./api-tokens.js";
+import { isSuspended } from "./suspension.js";
+
+/**
+ * Signing keys
+ *
+ * Asymmetric (preferred):
+ * - JWT_PRIVATE_KEY (JWK JSON string with "kid" and "alg" of "EdDSA" or "ES256"): only set on auth-gateway, signs new tokens.
+ * - JWT_PUBLIC_KEYS (JWKS JSON string): set on every verifying worker, served by auth-gateway at /.well-known/jwks.json.
+ *
+ * Symmetric (HS256, used to sign only while JWT_PRIVATE_KEY is not set):
+ * - JWT_KEYS (JSON string): { "current": "<kid>", "keys": { "<kid>": "<secret>", ... } }
+ * - The "current" key signs new tokens and its kid is written to the token header.
+ * - Every key in "keys" (active or retiring) can verify tokens carrying its kid.
+ * - JWT_SECRET is only used for tokens without a kid, or when JWT_KEYS is not set.
+ *
+ * Rotation procedure:
+ * 1. Add the new key (secret to "keys", or public JWK to JWT_PUBLIC_KEYS) on every worker (auth-gateway, pack-handler, resource-handler).
+ * 2. Once all workers are deployed, switch the signing key on auth-gateway ("current", or JWT_PRIVATE_KEY). Existing tokens keep verifying.
+ * 3. After ACCESS_TOKEN_EXPIRY_SECONDS has passed, remove the old key everywhere.
+ */
+const JWT_ALG = "HS256";
+const JWT_TYP = "JWT";
+const LEGACY_KID = "default";
+
+/**
+ * ACCESS SCOPES:
+ * packs:read / packs:write: view / change packs, invites and pack membership
+ * resources:read / resources:write: view / change resources and resource invites
+ * files:write: upload and delete resource files
+ * account:read / account:write: view / change sessions and account settings
+ * admin: use the admin API (only granted by /access-token to admins, never part of the default scope)
+ *
+ * The scope claim is a space-delimited list. Tokens without one predate scopes and only grant ACCESS_SCOPES (never admin).
+ */
+export const ACCESS_SCOPES = [
+  "packs:read",
+  "packs:write",
+  "resources:read",
+  "resources:write",
+  "files:write",
+  "account:read",
+  "account:write"
+];
+export const ADMIN_SCOPE = "admin";
+
+/**
+ * Cache of users.token_version (with the suspension and live session ids) per uuid, so verifying a token does not hit
+ * D1 on every call. Each isolate keeps its own cache, so a bump or a revoked session takes at most
+ * TOKEN_VERSION_CACHE_SECONDS to reach every worker. It holds at most TOKEN_STATE_CACHE_MAX_ENTRIES users.
+ */
+const tokenVersionCache = new Map();
+const TOKEN_STATE_CACHE_MAX_ENTRIES = 10000;
+
+/**
+ * WebCrypto parameters for each supported asymmetric alg.
+ */
+const ASYMMETRIC_ALGS = {
+  "EdDSA": {
+    key: { name: "Ed25519" },
+    signature: { name: "Ed25519" }
+  },
+  "ES256": {
+    key: { name: "ECDSA", namedCurve: "P-256" },
+    signature: { name: "ECDSA", hash: "SHA-256" }
+  }
+};
+
+/**
+ * Parse the keyring from the environment.
+ */
+function getKeyring(env) {
+  if (!env.JWT_KEYS) {
+    return { current: LEGACY_KID, keys: { [LEGACY_KID]: env.JWT_SECRET } };
+  }
+
+  let keyring;
+  try {
+    keyring = JSON.parse(env.JWT_KEYS);
+  } catch {
+    throw new Error("invalid_keyring");
+  }
+
+  if (!keyring || typeof keyring.keys !== "object" || !keyring.keys[keyring.current]) {
+    throw new Error("invalid_keyring");
+  }
+  return keyring;
+}
+
+/**
+ * Get the secret that verifies tokens signed with kid (tokens without a kid use JWT_SECRET).
+ */
+function getVerificationSecret(kid, env) {
+  if (kid === undefined) {
+    if (!env.JWT_SECRET) {
+      throw new Error("unknown_kid");
+    }
+    return env.JWT_SECRET;
+  }
+
+  const keys = getKeyring(env).keys;
+  if (typeof kid !== "string" || !Object.hasOwn(keys, kid) || !keys[kid]) {
+    throw new Error("unknown_kid");
+  }
+  return keys[kid];
+}
+
+/**
+ * Parse the asymmetric private signing key from the environment, or null if not configured.
+ */
+function getPrivateKey(env) {
+  if (!env.JWT_PRIVATE_KEY) {
+    return null;
+  }
+
+  let jwk;
+  try {
+    jwk = JSON.parse(env.JWT_PRIVATE_KEY);
+  } catch {
+    throw new Error("invalid_private_key");
+  }
+
+  if (!jwk || !jwk.kid || !jwk.d || !Object.hasOwn(ASYMMETRIC_ALGS, jwk.alg)) {
+    throw new Error("invalid_private_key");
+  }
+  return jwk;
+}
+
+/**
+ * Strip a JWK down to its public members.
+ */
+function toPublicJwk(jwk) {
+  const { kty, crv, x, y, kid, alg } = jwk;
+  return { kty, crv, x, y, kid, alg, use: "sig" };
+}
+
+/**
+ * List the public keys that verify asymmetric tokens (JWT_PUBLIC_KEYS plus the public half of JWT_PRIVATE_KEY).
+ */
+function getPublicKeys(env) {
+  let keys = [];
+  if (env.JWT_PUBLIC_KEYS) {
+    try {
+      keys = JSON.parse(env.JWT_PUBLIC_KEYS).keys;
+    } catch {
+      throw new Error("invalid_public_keys");
+    }
+    if (!Array.isArray(keys)) {
+      throw new Error("invalid_public_keys");
+    }
+  }
+
+  const privateKey = getPrivateKey(env);
+  if (privateKey && !keys.some(k => k.kid === privateKey.kid)) {
+    keys = [...keys, privateKey];
+  }
+
+  return keys.map(toPublicJwk);
+}
+
+/**
+ * Get the JWKS document for /.well-known/jwks.json.
+ */
+export function getPublicJwks(env) {
+  return { keys: getPublicKeys(env) };
+}
+
+/**
+ * Import the key that verifies a token with the given header.
+ * The key is bound to the header alg, so an HMAC secret can never verify an asymmetric token or the reverse.
+ */
+async function getVerificationKey(header, env) {
+  if (header.alg === JWT_ALG) {
+    return crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(getVerificationSecret(header.kid, env)),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["verify"]
+    );
+  }
+
+  const jwk = getPublicKeys(env).find(k => k.kid === header.kid && k.alg === header.alg);
+  if (typeof header.kid !== "string" || !jwk) {
+    throw new Error("unknown_kid");
+  }
+
+  const { use, ...keyData } = jwk;
+  return crypto.subtle.importKey("jwk", keyData, ASYMMETRIC_ALGS[header.alg].key, false, ["verify"]);
+}
+
 /**
  * Generate a JWT for the user's account information.
+ * Extra claims (e.g. sid) are merged into the payload but cannot override the standard claims.
  */
-export async function generateJWT(sub, type, env) {
+export async function generateJWT(sub, type, env, claims = {}) {
+  const privateKey = getPrivateKey(env);
+  const keyring = privateKey ? null : getKeyring(env);
   const header = {
-    alg: "HS256",
-    typ: "JWT"
+    alg: privateKey ? privateKey.alg : JWT_ALG,
+    typ: JWT_TYP
   };
+  if (privateKey) {
+    header.kid = privateKey.kid;
+  } else if (env.JWT_KEYS) {
+    header.kid = keyring.current;
+  }
   const now = Math.floor(Date.now() / 1000);
   const payload = {
+    ...claims,
     sub: sub,
     type: type,
     iat: now,
@@ -26,19 +226,31 @@ export async function generateJWT(sub, type, env) {
   const encodePayload = base64UrlEncode(payload);
   const data = `${encodedHeader}.${encodePayload}`;
 
-  const key = await crypto.subtle.importKey(
-    "raw",
-    new TextEncoder().encode(env.JWT_SECRET),
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"]
-  );
+  let signatureBuffer;
+  if (privateKey) {
+    const { alg, kid, use, key_ops, ext, ...keyData } = privateKey;
+    const key = await crypto.subtle.importKey("jwk", keyData, ASYMMETRIC_ALGS[alg].key, false, ["sign"]);
 
-  const signatureBuffer = await crypto.subtle.sign(
-    "HMAC",
-    key,
-    new TextEncoder().encode(data)
-  );
+    signatureBuffer = await crypto.subtle.sign(
+      ASYMMETRIC_ALGS[alg].signature,
+      key,
+      new TextEncoder().encode(data)
+    );
+  } else {
+    const key = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(keyring.keys[keyring.current]),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"]
+    );
+
+    signatureBuffer = await crypto.subtle.sign(
+      "HMAC",
+      key,
+      new TextEncoder().encode(data)
+    );
+  }
 
   const signature = btoa(String.fromCharCode(...new Uint8Array(signatureBuffer)))
   .replace(/=/g, "")
@@ -76,18 +288,24 @@ function base64UrlToUint8Array(str) {
 
 const signatureBytes = base64UrlToUint8Array(encodedSignature);
 
-// Import key for verification
-const key = await crypto.subtle.importKey(
-  "raw",
-  new TextEncoder().encode(env.JWT_SECRET),
-  { name: "HMAC", hash: "SHA-256" },
-  false,
-  ["verify"]
-);
+// Decode and strictly check the header
+let header;
+try {
+  header = JSON.parse(new TextDecoder().decode(base64UrlToUint8Array(encodedHeader)));
+} catch {
+  throw new Error("invalid_header");
+}
+
+if (!header || header.typ !== JWT_TYP || (header.alg !== JWT_ALG && !Object.hasOwn(ASYMMETRIC_ALGS, header.alg))) {
+  throw new Error("invalid_header");
+}
+
+// Import key for verification (selected by alg and kid)
+const key = await getVerificationKey(header, env);
 
 // Verify signature
 const isValidSignature = await crypto.subtle.verify(
-  "HMAC",
+  header.alg === JWT_ALG ? "HMAC" : ASYMMETRIC_ALGS[header.alg].signature,
   key,
   signatureBytes,
   new TextEncoder().encode(data)
@@ -131,7 +349,9 @@ return payload;
 }
 
 /**
-* Extracts and verifies an access JWT from the request.
+* Extracts and verifies an access JWT (or a personal API token) from the request.
+* Rejects tokens whose ver claim no longer matches the user's token_version, tokens whose sid session was revoked,
+* and suspended users.
 * Returns the decoded payload on success.
 * Throws an error on failure.
 */
@@ -144,5 +364,124 @@ export async function getAccessTokenPayload(request, env) {
 
   const token = auth.slice("Bearer ".length).trim();
 
-  return verifyJWT(token, "access", env);
+  const payload = token.startsWith(API_TOKEN_PREFIX)
+    ? await verifyApiToken(env, token)
+    : await verifyJWT(token, "access", env);
+
+  let state = await getTokenState(env, payload.sub);
+  // A session missing from a cached state may have been created after it was fetched
+  if (payload.sid !== undefined && state.cached && !state.sessions.has(payload.sid)) {
+    state = await getTokenState(env, payload.sub, true);
+  }
+  if (state.version === null) {
+    throw new Error("user_not_found");
+  }
+  // Suspending also bumps the token version, so check the suspension first to tell the user why they were signed out
+  if (isSuspended(state.user)) {
+    throw new Error("account_suspended");
+  }
+  if ((payload.ver ?? 0) !== state.version) {
+    throw new Error("token_revoked");
+  }
+  if (payload.sid !== undefined && !state.sessions.has(payload.sid)) {
+    throw new Error("token_revoked");
+  }
+
+  return payload;
+}
+
+/**
+ * Get the user's current token_version (null if the user does not exist), using the isolate cache when fresh.
+ */
+export async function getTokenVersion(env, uuid) {
+  return (await getTokenState(env, uuid)).version;
+}
+
+/**
+ * Get the user's token_version, suspension columns and unexpired session ids, using the isolate cache when fresh
+ * (unless fresh is set).
+ */
+async function getTokenState(env, uuid, fresh = false) {
+  const now = Math.floor(Date.now() / 1000);
+  const ttl = parseInt(env.TOKEN_VERSION_CACHE_SECONDS || "30", 10);
+
+  const cached = tokenVersionCache.get(uuid);
+  if (!fresh && cached && now - cached.fetched_at < ttl) {
+    return { ...cached, cached: true };
+  }
+
+  const user = await env.PACKSYNCR_DB.prepare(`
+    SELECT token_version, suspended_at, suspension_expires_at
+    FROM users
+    WHERE uuid = ?
+  `).bind(uuid).first();
+
+  const { results: sessions } = user ? await env.PACKSYNCR_DB.prepare(`
+    SELECT session_id
+    FROM sessions
+    WHERE uuid = ? AND expires_at > ?
+  `).bind(uuid, now).all() : { results: [] };
+
+  const state = {
+    version: user ? user.token_version : null,
+    user,
+    sessions: new Set(sessions.map(session => session.session_id)),
+    fetched_at: now
+  };
+  // Entries are kept in the order they were fetched: drop expired ones from the front, and the oldest beyond the cap
+  tokenVersionCache.delete(uuid);
+  tokenVersionCache.set(uuid, state);
+  for (const [key, entry] of tokenVersionCache) {
+    if (tokenVersionCache.size <= TOKEN_STATE_CACHE_MAX_ENTRIES && now - entry.fetched_at < ttl) {
+      break;
+    }
+    tokenVersionCache.delete(key);
+  }
+  return state;
+}
+
+/**
+ * Statement bumping the user's token_version, invalidating every access token already issued to the user
+ * (logout-all, ban, account deletion). Run it in a batch with the other changes, then call forgetTokenState.
+ */
+export function bumpTokenVersionStatement(env, uuid) {
+  return env.PACKSYNCR_DB.prepare(`
+    UPDATE users
+    SET token_version = token_version + 1
+    WHERE uuid = ?
+  `).bind(uuid);
+}
+
+/**
+ * Drop this isolate's cached token version, suspension and sessions of the user after changing them.
+ */
+export function forgetTokenState(uuid) {
+  tokenVersionCache.delete(uuid);
+}
+
+/**
+ * Check if an access token payload grants the scope.
+ */
+export function hasScope(payload, scope) {
+  if (payload.scope === undefined) {
+    return ACCESS_SCOPES.includes(scope);
+  }
+  return typeof payload.scope === "string" && payload.scope.split(" ").includes(scope);
+}
+
+/**
+ * Parse a requested space-delimited scope list, defaulting to every scope in ACCESS_SCOPES.
+ * extraScopes are accepted on top of ACCESS_SCOPES (e.g. ADMIN_SCOPE by /access-token), but never granted by default.
+ * Throws invalid_scope if any requested scope is unknown.
+ */
+export function parseScope(requested, extraScopes = []) {
+  if (!requested) {
+    return ACCESS_SCOPES.join(" ");
+  }
+
+  const scopes = [...new Set(requested.split(" ").filter(Boolean))];
+  if (!scopes.length || scopes.some(scope => !ACCESS_SCOPES.includes(scope) && !extraScopes.includes(scope))) {
+    throw new Error("invalid_scope");
+  }
+  return scopes.join(" ");
 }
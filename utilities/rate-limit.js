@@ -0,0 +1,195 @@
+/**
+ * Token bucket rate limiting backed by the RateLimiter Durable Object (one object per bucket key).
+ * Each worker exports RateLimiter and binds it as RATE_LIMITER.
+ *
+ * Limits are set per route as { limit, period } (limit requests per period seconds, bursting up to limit).
+ * Routes without their own limit share the "*" limit (per route), so no route is unlimited.
+ * Failure limits also take a lockout (seconds): once the failures are used up, the key is locked out for that long.
+ * RATE_LIMITS (JSON string) overrides or adds limits, e.g. {"/redeem-invite": {"limit": 5, "period": 60}}
+ * If RATE_LIMITER is not bound or unavailable, requests are allowed (fail open) so an outage cannot lock everyone out.
+ */
+const DEFAULT_RATE_LIMITS = {
+  "/access-token": { limit: 30, period: 60 },
+  "/refresh-token": { limit: 20, period: 60 }, // Keyed on the end user's IP relayed by auth-proxy
+  "/device/code": { limit: 10, period: 60 },
+  "/device/token": { limit: 30, period: 60 },
+  "/redeem-invite": { limit: 10, period: 60 },
+  "/add-resource": { limit: 20, period: 60 },
+  "invite-failures": { limit: 10, period: 900, lockout: 1800 },
+  "*": { limit: 300, period: 60 }
+};
+
+// How long a changed bucket is only held in memory before the alarm persists it
+const PERSIST_DELAY_SECONDS = 10;
+
+/**
+ * Durable Object holding a single token bucket.
+ * POST { op: "consume" | "fail" | "check", limit, period, lockout? } -> { allowed, retry_after }
+ * The bucket lives in memory and is only written to storage by the alarm, PERSIST_DELAY_SECONDS after it changed,
+ * so a request costs no storage writes. The alarm deletes it instead once it would be full again.
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.bucket = null;
+    this.alarmAt = null;
+
+    // Restore the bucket persisted before the object was evicted from memory
+    state.blockConcurrencyWhile(async () => {
+      this.bucket = (await state.storage.get("bucket")) ?? null;
+      this.alarmAt = await state.storage.getAlarm();
+    });
+  }
+
+  async fetch(request) {
+    const { op, limit, period, lockout } = await request.json();
+    const now = Date.now() / 1000;
+
+    // Refill the bucket for the time passed
+    const bucket = this.bucket ?? { tokens: limit, updated_at: now, locked_until: 0 };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updated_at) * (limit / period));
+    bucket.updated_at = now;
+    bucket.limit = limit;
+    bucket.period = period;
+
+    let allowed = true;
+    let retry_after = 0;
+    if (bucket.locked_until > now) {
+      allowed = false;
+      retry_after = bucket.locked_until - now;
+    } else if (op !== "check") {
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+      } else {
+        allowed = false;
+        retry_after = (1 - bucket.tokens) * (period / limit);
+      }
+
+      // Lock out once all failures are used up
+      if (op === "fail" && lockout && bucket.tokens < 1) {
+        bucket.locked_until = now + lockout;
+      }
+    }
+    this.bucket = bucket;
+
+    // Persist the change from the alarm, unless one is already due sooner
+    const persistAt = Date.now() + PERSIST_DELAY_SECONDS * 1000;
+    if (this.alarmAt === null || this.alarmAt > persistAt) {
+      await this.setAlarm(persistAt);
+    }
+
+    return Response.json({ allowed, retry_after: Math.ceil(retry_after) });
+  }
+
+  async alarm() {
+    this.alarmAt = null;
+    const bucket = this.bucket;
+    if (!bucket) {
+      await this.state.storage.deleteAll();
+      return;
+    }
+
+    // Forget idle buckets once they would be full again
+    const now = Date.now() / 1000;
+    const idleAt = Math.max(bucket.updated_at + (bucket.limit - bucket.tokens) * (bucket.period / bucket.limit), bucket.locked_until);
+    if (idleAt <= now) {
+      this.bucket = null;
+      await this.state.storage.deleteAll();
+      return;
+    }
+
+    await this.state.storage.put("bucket", bucket);
+    await this.setAlarm(idleAt * 1000);
+  }
+
+  async setAlarm(time) {
+    this.alarmAt = time;
+    await this.state.storage.setAlarm(time);
+  }
+}
+
+/**
+ * Get the configured limit for a route (falling back to "*") or failure limit name, or null if it is not rate limited.
+ */
+export function getRateLimit(env, name) {
+  let overrides = {};
+  if (env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(env.RATE_LIMITS);
+    } catch {
+      console.error("Invalid RATE_LIMITS, using defaults");
+    }
+  }
+  const fallback = name.startsWith("/") ? overrides["*"] ?? DEFAULT_RATE_LIMITS["*"] : null;
+  return overrides[name] ?? DEFAULT_RATE_LIMITS[name] ?? fallback ?? null;
+}
+
+/**
+ * Take one request from the route's bucket for each identity (e.g. "ip:<ip>", "uuid:<uuid>").
+ * Returns null if allowed, otherwise the seconds to wait before retrying.
+ */
+export async function checkRateLimit(env, name, identities) {
+  return await runBuckets(env, name, identities, "consume");
+}
+
+/**
+ * Check if an identity is locked out by a failure limit, without counting a request.
+ * Returns null if allowed, otherwise the seconds left on the lockout.
+ */
+export async function checkLockout(env, name, identity) {
+  return await runBuckets(env, name, [identity], "check");
+}
+
+/**
+ * Count a failure (e.g. a wrong invite code) against an identity.
+ */
+export async function recordFailure(env, name, identity) {
+  await runBuckets(env, name, [identity], "fail");
+}
+
+/**
+ * Build the 429 response sent when a request is rate limited.
+ */
+export function rateLimitedResponse(retryAfter, headers) {
+  return new Response(JSON.stringify({ error: "rate_limited", retry_after: retryAfter }), {
+    status: 429,
+    headers: {
+      ...headers,
+      "Retry-After": String(retryAfter)
+    }
+  });
+}
+
+/**
+ * Get the client IP identity of a request.
+ */
+export function getClientIp(request) {
+  const ip = request.headers.get("CF-Connecting-IP");
+  return ip ? `ip:${ip}` : null;
+}
+
+async function runBuckets(env, name, identities, op) {
+  const config = getRateLimit(env, name);
+  if (!config || !env.RATE_LIMITER) {
+    return null;
+  }
+
+  let retryAfter = null;
+  for (const identity of identities.filter(Boolean)) {
+    try {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`${name}:${identity}`));
+      const response = await stub.fetch("https://rate-limiter/", {
+        method: "POST",
+        body: JSON.stringify({ op, limit: config.limit, period: config.period, lockout: config.lockout })
+      });
+      const { allowed, retry_after } = await response.json();
+
+      if (!allowed) {
+        retryAfter = Math.max(retryAfter ?? 0, retry_after);
+      }
+    } catch (err) {
+      console.error("Rate limiter unavailable:", err);
+    }
+  }
+  return retryAfter;
+}
@@ -0,0 +1,44 @@
+/**
+ * Account suspensions are set by the admin API (auth-gateway/admin.js) on the users row:
+ * suspended_at, suspension_reason and suspension_expires_at (-1 until lifted).
+ * A suspension stops applying once it expires, even before an admin clears it.
+ */
+
+/**
+ * Check if a users row (with the suspension columns) is currently suspended.
+ */
+export function isSuspended(user, now = Math.floor(Date.now() / 1000)) {
+  return Boolean(user)
+    && user.suspended_at !== null
+    && user.suspended_at !== undefined
+    && (user.suspension_expires_at === -1 || user.suspension_expires_at > now);
+}
+
+/**
+ * Get the user's active suspension ({ reason, expires_at }), or null if they are not suspended.
+ */
+export async function getActiveSuspension(env, uuid) {
+  const user = await env.PACKSYNCR_DB.prepare(`
+    SELECT suspended_at, suspension_reason, suspension_expires_at
+    FROM users
+    WHERE uuid = ?
+  `).bind(uuid).first();
+
+  if (!isSuspended(user)) {
+    return null;
+  }
+  return { reason: user.suspension_reason, expires_at: user.suspension_expires_at };
+}
+
+/**
+ * SQL condition that is true when the user in ownerColumn is not suspended.
+ * Bind the current unix time for its single parameter.
+ */
+export function notSuspendedSql(ownerColumn) {
+  return `NOT EXISTS (
+    SELECT 1 FROM users su
+    WHERE su.uuid = ${ownerColumn}
+      AND su.suspended_at IS NOT NULL
+      AND (su.suspension_expires_at = -1 OR su.suspension_expires_at > ?)
+  )`;
+}
@@ -0,0 +1,179 @@
+import { bumpTokenVersionStatement, forgetTokenState } from "./utilities/jwt.js";
+
+const SIZE_BACKFILL_BATCH = 50;
+
+/**
+ * Get the user's profile, each quota with its current usage, total stored bytes and active session count.
+ * Usage counters are the same ones checked by pack-handler and resource-handler before creating or following.
+ */
+export async function getAccountOverview(env, uuid) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Fetch user
+  const user = await env.PACKSYNCR_DB.prepare(`
+    SELECT uuid, username, created_at, packs_created, packs_limit, resources_created, resources_limit, packs_followed, follow_limit
+    FROM users
+    WHERE uuid = ?
+  `).bind(uuid).first();
+
+  if (!user) {
+    throw new Error("user_not_found");
+  }
+
+  // Sum the size of every file in the user's resources (files uploaded before sizes were recorded are sized from R2 first)
+  await backfillFileSizes(env, uuid);
+  const storage = await env.PACKSYNCR_DB.prepare(`
+    SELECT COALESCE(SUM(rf.size_bytes), 0) AS total_bytes
+    FROM resource_files rf
+    JOIN resources r ON rf.resource_uuid = r.resource_uuid
+    WHERE r.owner_uuid = ?
+  `).bind(uuid).first();
+
+  // Check for a scheduled deletion
+  const deletion = await env.PACKSYNCR_DB.prepare(`
+    SELECT requested_at, purge_after
+    FROM account_deletions
+    WHERE uuid = ?
+  `).bind(uuid).first();
+
+  // Count unexpired sessions
+  const sessions = await env.PACKSYNCR_DB.prepare(`
+    SELECT COUNT(*) AS total
+    FROM sessions
+    WHERE uuid = ? AND expires_at > ?
+  `).bind(uuid, now).first();
+
+  return {
+    uuid: user.uuid,
+    username: user.username,
+    created_at: user.created_at,
+    quotas: {
+      packs: { used: user.packs_created, limit: user.packs_limit },
+      resources: { used: user.resources_created, limit: user.resources_limit },
+      follows: { used: user.packs_followed, limit: user.follow_limit }
+    },
+    storage_bytes: storage.total_bytes,
+    active_sessions: sessions.total,
+    deletion: deletion ?? null
+  };
+}
+
+/**
+ * Record the size of the user's resource files uploaded before size_bytes existed, from their R2 objects.
+ * At most SIZE_BACKFILL_BATCH files per call to stay within the subrequest limit, the rest are sized on later calls.
+ * Files whose object is missing count as 0 bytes.
+ */
+async function backfillFileSizes(env, uuid) {
+  const { results: files } = await env.PACKSYNCR_DB.prepare(`
+    SELECT rf.resource_uuid, rf.file_uuid, rf.r2_key
+    FROM resource_files rf
+    JOIN resources r ON rf.resource_uuid = r.resource_uuid
+    WHERE r.owner_uuid = ? AND rf.size_bytes IS NULL
+    LIMIT ?
+  `).bind(uuid, SIZE_BACKFILL_BATCH).all();
+
+  if (!files.length) {
+    return;
+  }
+
+  const statements = [];
+  for (const file of files) {
+    const object = await env.RESOURCE_BUCKET.head(file.r2_key);
+    statements.push(env.PACKSYNCR_DB.prepare(`
+      UPDATE resource_files
+      SET size_bytes = ?
+      WHERE resource_uuid = ? AND file_uuid = ? AND size_bytes IS NULL
+    `).bind(object?.size ?? 0, file.resource_uuid, file.file_uuid));
+  }
+  await env.PACKSYNCR_DB.batch(statements);
+}
+
+/**
+ * Schedule the account for deletion after the cooling-off period (ACCOUNT_DELETION_COOLING_OFF_SECONDS, default 7 days).
+ * Requesting again while a deletion is scheduled keeps the original schedule.
+ */
+export async function requestAccountDeletion(env, uuid) {
+  const now = Math.floor(Date.now() / 1000);
+  const coolingOff = parseInt(env.ACCOUNT_DELETION_COOLING_OFF_SECONDS || "604800", 10);
+
+  await env.PACKSYNCR_DB.prepare(`
+    INSERT OR IGNORE INTO account_deletions (uuid, requested_at, purge_after)
+    VALUES (?, ?, ?)
+  `).bind(uuid, now, now + coolingOff).run();
+
+  return await env.PACKSYNCR_DB.prepare(`
+    SELECT requested_at, purge_after
+    FROM account_deletions
+    WHERE uuid = ?
+  `).bind(uuid).first();
+}
+
+/**
+ * Cancel a scheduled deletion while it is still in the cooling-off period.
+ */
+export async function cancelAccountDeletion(env, uuid) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const result = await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM account_deletions
+    WHERE uuid = ? AND purge_after > ?
+  `).bind(uuid, now).run();
+
+  if (result.meta.changes === 0) {
+    const deletion = await env.PACKSYNCR_DB.prepare(`
+      SELECT uuid
+      FROM account_deletions
+      WHERE uuid = ?
+    `).bind(uuid).first();
+
+    throw new Error(deletion ? "account_deletion_in_progress" : "account_deletion_not_found");
+  }
+}
+
+/**
+ * Last deletion step: remove everything auth-gateway owns for the user, then the users row and the deletion itself.
+ * Packs and resources have already been purged by pack-handler and resource-handler.
+ * The deletion row goes in the same batch so a user who signs up again starts without one and can delete again.
+ */
+export async function purgeAccount(env, uuid) {
+  await env.PACKSYNCR_DB.batch([
+    env.PACKSYNCR_DB.prepare(`DELETE FROM sessions WHERE uuid = ?`).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`DELETE FROM retired_refresh_tokens WHERE uuid = ?`).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`DELETE FROM refresh_tokens WHERE uuid = ?`).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`DELETE FROM api_tokens WHERE uuid = ?`).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`DELETE FROM device_codes WHERE uuid = ?`).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`DELETE FROM username_history WHERE uuid = ?`).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`DELETE FROM auth_events WHERE uuid = ?`).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`DELETE FROM notifications WHERE uuid = ?`).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`DELETE FROM users WHERE uuid = ?`).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`DELETE FROM account_deletions WHERE uuid = ?`).bind(uuid)
+  ]);
+}
+
+/**
+ * Sign out all devices for a specific uuid by deleting every session and invalidating issued access tokens.
+ */
+export async function signOutAllDevices(uuid, env) {
+  const [, result] = await env.PACKSYNCR_DB.batch(signOutStatements(env, uuid));
+  forgetTokenState(uuid);
+
+  return result;
+}
+
+/**
+ * Statements signing out all devices of the uuid, for callers that run them in a batch with other changes
+ * (the sessions delete is second). Call forgetTokenState once the batch has run.
+ */
+export function signOutStatements(env, uuid) {
+  return [
+    bumpTokenVersionStatement(env, uuid),
+    env.PACKSYNCR_DB.prepare(`
+      DELETE FROM sessions
+      WHERE uuid = ?
+    `).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`
+      DELETE FROM retired_refresh_tokens
+      WHERE uuid = ?
+    `).bind(uuid)
+  ];
+}
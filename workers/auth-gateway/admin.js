@@ -0,0 +1,456 @@
+import { getAccessTokenPayload, hasScope, forgetTokenState, ADMIN_SCOPE } from "./utilities/jwt.js";
+import { signOutStatements } from "./account.js";
+
+/**
+ * Admin API for support lookups, quotas and suspensions.
+ * Requires an access token with the "admin" role claim and the admin scope (only issued by /access-token to users with
+ * role = 'admin'), and the role is checked again in D1 so a demoted admin loses access immediately.
+ * Every admin request, including lookups and failed attempts, is written to admin_audit_log, which is only ever inserted
+ * into. Denied attempts are only written for admins (or tokens issued to a since demoted admin), so other users cannot
+ * flood the trail.
+ */
+const JSON_HEADERS = {
+  "Content-Type": "application/json"
+};
+
+const QUOTA_FIELDS = ["packs_limit", "resources_limit", "follow_limit"];
+const MAX_QUOTA = 10000;
+const SUSPENSION_REASON_MAX_LENGTH = 256;
+const MINIMUM_SUSPENSION_DURATION = 3600;
+const ADMIN_PAGE_SIZE = 100;
+
+// User columns shown to admins (never token_version)
+const USER_COLUMNS = `
+  uuid, username, email, role, created_at, ownership_source, ownership_checked_at,
+  packs_created, packs_limit, resources_created, resources_limit, packs_followed, follow_limit,
+  suspended_at, suspension_reason, suspension_expires_at
+`;
+
+/**
+ * Admin routes: "METHOD /path" -> { handler, action }, action being the name recorded in the audit trail.
+ * handler(request, env, admin_uuid) returns { body, target_uuid, details, statements }: statements are the D1 changes,
+ * run in one batch with the audit entry so an action is never applied without being recorded.
+ */
+export const ADMIN_ROUTES = {
+  "GET /admin/users": { handler: handleLookupUsers, action: "lookup_users" },
+  "POST /admin/users/quotas": { handler: handleSetQuotas, action: "set_quotas" },
+  "POST /admin/users/suspend": { handler: handleSuspendUser, action: "suspend_user" },
+  "POST /admin/users/unsuspend": { handler: handleUnsuspendUser, action: "unsuspend_user" },
+  "POST /admin/users/logout": { handler: handleForceLogout, action: "force_logout" },
+  "GET /admin/users/packs": { handler: handleGetUserPacks, action: "view_user_packs" },
+  "GET /admin/users/resources": { handler: handleGetUserResources, action: "view_user_resources" },
+  "GET /admin/audit-log": { handler: handleGetAuditLog, action: "view_audit_log" }
+};
+
+/**
+ * Check the requester is an admin with the admin scope, run the admin route and record it in the audit trail.
+ * Failed attempts are recorded too (outcome "failed"), denied ones only for admins (outcome "denied").
+ */
+export async function handleAdminRequest(request, env, path) {
+  const route = ADMIN_ROUTES[`${request.method} ${path}`];
+  if (!route) {
+    return new Response("Not found", {
+      status: 404,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Extract access token payload
+  let payload;
+  try {
+    payload = await getAccessTokenPayload(request, env);
+  } catch (err) {
+    return new Response(JSON.stringify({ error: err.message }), {
+      status: err.message === "account_suspended" ? 403 : 401,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Check the role claim, then that the user is still an admin
+  const user = await env.PACKSYNCR_DB.prepare(`
+    SELECT role
+    FROM users
+    WHERE uuid = ?
+  `).bind(payload.sub).first();
+  const isAdmin = user?.role === "admin";
+
+  if (payload.role !== "admin" || !isAdmin) {
+    if (payload.role === "admin" || isAdmin) {
+      await recordAttempt(env, request, payload.sub, route.action, "denied", "admin_required");
+    }
+    return new Response(JSON.stringify({ error: "admin_required" }), {
+      status: 403,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Check the access token grants the admin scope (a narrowed token of an admin does not)
+  if (!hasScope(payload, ADMIN_SCOPE)) {
+    await recordAttempt(env, request, payload.sub, route.action, "denied", "insufficient_scope");
+    return new Response(JSON.stringify({ error: "insufficient_scope", required_scope: ADMIN_SCOPE }), {
+      status: 403,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Run admin action, applying its changes together with the audit entry
+  let result;
+  try {
+    result = await route.handler(request, env, payload.sub);
+    await env.PACKSYNCR_DB.batch([
+      ...(result.statements ?? []),
+      auditStatement(env, request, payload.sub, route.action, "success", result.target_uuid, result.details)
+    ]);
+  } catch (err) {
+    const status =
+      err.message === "invalid_json" ? 400 :
+      err.message === "invalid_uuid" ? 400 :
+      err.message === "invalid_query" ? 400 :
+      err.message === "invalid_quota" ? 400 :
+      err.message === "invalid_reason" ? 400 :
+      err.message === "invalid_duration" ? 400 :
+      err.message === "cannot_target_self" ? 400 :
+      err.message === "user_not_found" ? 404 :
+      500;
+
+    if (status === 500) {
+      console.error("Admin action failed:", err);
+    }
+
+    await recordAttempt(env, request, payload.sub, route.action, "failed", status === 500 ? "internal_error" : err.message);
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Changes to the target's suspension or token version apply to this isolate's cache right away
+  if (result.statements?.length && result.target_uuid) {
+    forgetTokenState(result.target_uuid);
+  }
+
+  return new Response(JSON.stringify(result.body), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * GET /admin/users?uuid=|username=|email=
+ * Look up users by uuid, current or previous username (case-insensitive), or email.
+ */
+async function handleLookupUsers(request, env) {
+  const params = new URL(request.url).searchParams;
+  const uuid = params.get("uuid");
+  const username = params.get("username");
+  const email = params.get("email");
+
+  let query;
+  if (uuid) {
+    query = env.PACKSYNCR_DB.prepare(`
+      SELECT ${USER_COLUMNS}
+      FROM users
+      WHERE uuid = ?
+    `).bind(uuid);
+  } else if (username) {
+    query = env.PACKSYNCR_DB.prepare(`
+      SELECT ${USER_COLUMNS}
+      FROM users
+      WHERE username = ? COLLATE NOCASE
+        OR uuid IN (SELECT uuid FROM username_history WHERE old_username = ? COLLATE NOCASE)
+      LIMIT ?
+    `).bind(username, username, ADMIN_PAGE_SIZE);
+  } else if (email) {
+    query = env.PACKSYNCR_DB.prepare(`
+      SELECT ${USER_COLUMNS}
+      FROM users
+      WHERE email = ? COLLATE NOCASE
+      LIMIT ?
+    `).bind(email, ADMIN_PAGE_SIZE);
+  } else {
+    throw new Error("invalid_query");
+  }
+
+  const { results: users } = await query.all();
+
+  return {
+    body: { users },
+    details: { uuid, username, email, matches: users.length }
+  };
+}
+
+/**
+ * POST /admin/users/quotas
+ * Body: { uuid: "<uuid>", packs_limit?: <n>, resources_limit?: <n>, follow_limit?: <n> }
+ */
+async function handleSetQuotas(request, env) {
+  const body = await readJson(request);
+  const user = await getTargetUser(env, body.uuid);
+
+  // Keep list of necessary changes
+  const fields = [];
+  const values = [];
+  const changes = {};
+
+  for (const field of QUOTA_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (!Number.isInteger(body[field]) || body[field] < 0 || body[field] > MAX_QUOTA) {
+      throw new Error("invalid_quota");
+    }
+    fields.push(`${field} = ?`);
+    values.push(body[field]);
+    changes[field] = { from: user[field], to: body[field] };
+  }
+
+  if (!fields.length) {
+    throw new Error("invalid_quota");
+  }
+
+  return {
+    body: { success: true },
+    target_uuid: user.uuid,
+    details: changes,
+    statements: [
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE users
+        SET ${fields.join(", ")}
+        WHERE uuid = ?
+      `).bind(...values, user.uuid)
+    ]
+  };
+}
+
+/**
+ * POST /admin/users/suspend
+ * Suspend an account and sign it out everywhere. Without a duration the suspension lasts until it is lifted.
+ * Body: { uuid: "<uuid>", reason: "<reason>", duration?: <seconds> }
+ */
+async function handleSuspendUser(request, env, admin_uuid) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = await readJson(request);
+  const user = await getTargetUser(env, body.uuid);
+
+  if (user.uuid === admin_uuid) {
+    throw new Error("cannot_target_self");
+  }
+  if (!body.reason || typeof body.reason !== "string" || body.reason.length > SUSPENSION_REASON_MAX_LENGTH) {
+    throw new Error("invalid_reason");
+  }
+
+  // Validate duration if defined
+  let expiration = -1;
+  if (body.duration !== undefined) {
+    if (!Number.isInteger(body.duration) || body.duration < MINIMUM_SUSPENSION_DURATION) {
+      throw new Error("invalid_duration");
+    }
+    expiration = now + body.duration;
+  }
+
+  return {
+    body: { success: true, suspension_expires_at: expiration },
+    target_uuid: user.uuid,
+    details: { reason: body.reason, suspension_expires_at: expiration },
+    statements: [
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE users
+        SET suspended_at = ?, suspension_reason = ?, suspension_expires_at = ?
+        WHERE uuid = ?
+      `).bind(now, body.reason, expiration, user.uuid),
+      ...signOutStatements(env, user.uuid)
+    ]
+  };
+}
+
+/**
+ * POST /admin/users/unsuspend
+ * Body: { uuid: "<uuid>" }
+ */
+async function handleUnsuspendUser(request, env) {
+  const body = await readJson(request);
+  const user = await getTargetUser(env, body.uuid);
+
+  return {
+    body: { success: true },
+    target_uuid: user.uuid,
+    details: { suspension_reason: user.suspension_reason },
+    statements: [
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE users
+        SET suspended_at = NULL, suspension_reason = NULL, suspension_expires_at = NULL
+        WHERE uuid = ?
+      `).bind(user.uuid)
+    ]
+  };
+}
+
+/**
+ * POST /admin/users/logout
+ * Sign the user out of every session and invalidate their access and API tokens.
+ * Body: { uuid: "<uuid>" }
+ */
+async function handleForceLogout(request, env) {
+  const body = await readJson(request);
+  const user = await getTargetUser(env, body.uuid);
+
+  const sessions = await env.PACKSYNCR_DB.prepare(`
+    SELECT COUNT(*) AS total
+    FROM sessions
+    WHERE uuid = ?
+  `).bind(user.uuid).first();
+
+  return {
+    body: { success: true, sessions_revoked: sessions.total },
+    target_uuid: user.uuid,
+    details: { sessions_revoked: sessions.total },
+    statements: signOutStatements(env, user.uuid)
+  };
+}
+
+/**
+ * GET /admin/users/packs?uuid=
+ * Packs the user owns or follows.
+ */
+async function handleGetUserPacks(request, env) {
+  const user = await getTargetUser(env, new URL(request.url).searchParams.get("uuid"));
+
+  const { results: packs } = await env.PACKSYNCR_DB.prepare(`
+    SELECT rp.*, 'owner' AS user_role
+    FROM resource_packs rp
+    WHERE rp.owner_uuid = ?
+    UNION ALL
+    SELECT rp.*, pc.role AS user_role
+    FROM resource_packs rp
+    JOIN pack_collaborators pc ON rp.pack_uuid = pc.pack_uuid
+    WHERE pc.user_uuid = ?
+  `).bind(user.uuid, user.uuid).all();
+
+  return {
+    body: { packs },
+    target_uuid: user.uuid
+  };
+}
+
+/**
+ * GET /admin/users/resources?uuid=
+ * Resources the user owns, with their files.
+ */
+async function handleGetUserResources(request, env) {
+  const user = await getTargetUser(env, new URL(request.url).searchParams.get("uuid"));
+
+  const { results: resources } = await env.PACKSYNCR_DB.prepare(`
+    SELECT *
+    FROM resources
+    WHERE owner_uuid = ?
+  `).bind(user.uuid).all();
+
+  const { results: files } = await env.PACKSYNCR_DB.prepare(`
+    SELECT rf.resource_uuid, rf.file_uuid, rf.file_directory, rf.file_name, rf.content_type, rf.size_bytes, rf.created_at, rf.updated_at
+    FROM resource_files rf
+    JOIN resources r ON rf.resource_uuid = r.resource_uuid
+    WHERE r.owner_uuid = ?
+  `).bind(user.uuid).all();
+
+  return {
+    body: {
+      resources: resources.map(resource => ({
+        ...resource,
+        files: files.filter(file => file.resource_uuid === resource.resource_uuid)
+      }))
+    },
+    target_uuid: user.uuid
+  };
+}
+
+/**
+ * GET /admin/audit-log?target_uuid=&before=
+ * Admin actions, newest first, optionally for one target user.
+ */
+async function handleGetAuditLog(request, env) {
+  const params = new URL(request.url).searchParams;
+  const target_uuid = params.get("target_uuid");
+  const before = params.get("before");
+
+  if (before !== null && !/^\d+$/.test(before)) {
+    throw new Error("invalid_query");
+  }
+
+  const { results } = await env.PACKSYNCR_DB.prepare(`
+    SELECT audit_id, admin_uuid, action, outcome, target_uuid, details, ip, created_at
+    FROM admin_audit_log
+    WHERE created_at < ? ${target_uuid ? "AND target_uuid = ?" : ""}
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).bind(
+    before === null ? Number.MAX_SAFE_INTEGER : parseInt(before, 10),
+    ...(target_uuid ? [target_uuid] : []),
+    ADMIN_PAGE_SIZE
+  ).all();
+
+  return {
+    body: { entries: results.map(entry => ({ ...entry, details: JSON.parse(entry.details) })) },
+    target_uuid,
+    details: { before }
+  };
+}
+
+/**
+ * Statement recording an admin request in the audit trail.
+ */
+function auditStatement(env, request, admin_uuid, action, outcome, target_uuid, details) {
+  return env.PACKSYNCR_DB.prepare(`
+    INSERT INTO admin_audit_log (audit_id, admin_uuid, action, outcome, target_uuid, details, ip, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    crypto.randomUUID(),
+    admin_uuid,
+    action,
+    outcome,
+    target_uuid ?? null,
+    JSON.stringify(details ?? {}),
+    request.headers.get("CF-Connecting-IP"),
+    Math.floor(Date.now() / 1000)
+  );
+}
+
+/**
+ * Record a denied or failed admin request, without failing the response if the audit trail cannot be written.
+ */
+async function recordAttempt(env, request, admin_uuid, action, outcome, error) {
+  try {
+    await auditStatement(env, request, admin_uuid, action, outcome, null, { error }).run();
+  } catch (err) {
+    console.error(`Failed to record ${outcome} admin request:`, err);
+  }
+}
+
+/**
+ * Parse the request body as JSON.
+ */
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    throw new Error("invalid_json");
+  }
+}
+
+/**
+ * Fetch the user an admin action targets.
+ */
+async function getTargetUser(env, uuid) {
+  if (!uuid || typeof uuid !== "string") {
+    throw new Error("invalid_uuid");
+  }
+
+  const user = await env.PACKSYNCR_DB.prepare(`
+    SELECT ${USER_COLUMNS}
+    FROM users
+    WHERE uuid = ?
+  `).bind(uuid).first();
+
+  if (!user) {
+    throw new Error("user_not_found");
+  }
+  return user;
+}
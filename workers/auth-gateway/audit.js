@@ -0,0 +1,181 @@
+/**
+ * Append-only sign-in audit log. Rows in auth_events are only ever inserted, and removed with the account or once
+ * they are older than AUTH_EVENT_RETENTION_SECONDS (default 90 days).
+ * EVENTS:
+ * login: a session was created (Azure login or device flow)
+ * refresh: an access token was issued from a refresh token
+ * refresh_failed: an expired or reused refresh token of the uuid was presented (unknown tokens are not recorded,
+ *   they do not show the request has anything to do with the uuid)
+ * logout: one session, or every session, was signed out
+ */
+const AUTH_EVENTS = ["login", "refresh", "refresh_failed", "logout"];
+
+const AUDIT_LOG_PAGE_SIZE = 50;
+const PRUNE_BATCH_SIZE = 1000;
+const PRUNE_BATCHES_PER_RUN = 10;
+
+/**
+ * Record an auth event for the uuid. ip, user_agent and country can be given for requests relayed by auth-proxy,
+ * otherwise they are read from the request along with its Cloudflare country and ASN.
+ * A login from a country or ASN the user has never used before (in any successful event) adds a new_sign_in_location
+ * notification.
+ */
+export async function recordAuthEvent(env, request, uuid, event, { session_id = null, ip, user_agent, country = null } = {}) {
+  if (!AUTH_EVENTS.includes(event)) {
+    throw new Error("invalid_auth_event");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const relayed = ip !== undefined;
+  const location = {
+    ip: relayed ? ip : request.headers.get("CF-Connecting-IP"),
+    user_agent: relayed ? user_agent : request.headers.get("User-Agent"),
+    // Cloudflare only knows the location of the direct client, auth-proxy relays the country its front end resolved
+    country: relayed ? country : request.cf?.country ?? null,
+    asn: relayed ? null : request.cf?.asn ?? null,
+    as_organization: relayed ? null : request.cf?.asOrganization ?? null
+  };
+
+  // Check if the location of a login is new before recording it
+  let newLocation = false;
+  if (event === "login" && (location.country || location.asn)) {
+    newLocation = await isNewLocation(env, uuid, location.country, location.asn);
+  }
+
+  await env.PACKSYNCR_DB.prepare(`
+    INSERT INTO auth_events (
+      event_id,
+      uuid,
+      event,
+      session_id,
+      ip,
+      user_agent,
+      country,
+      asn,
+      as_organization,
+      created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    crypto.randomUUID(),
+    uuid,
+    event,
+    session_id,
+    location.ip,
+    location.user_agent?.slice(0, 256) ?? null,
+    location.country,
+    location.asn,
+    location.as_organization,
+    now
+  ).run();
+
+  if (newLocation) {
+    await createNotification(env, uuid, "new_sign_in_location", {
+      session_id,
+      ip: location.ip,
+      country: location.country,
+      asn: location.asn,
+      as_organization: location.as_organization,
+      user_agent: location.user_agent
+    });
+  }
+}
+
+/**
+ * Get a page of the user's auth events, newest first. Pass the last created_at seen as before for the next page.
+ */
+export async function getAuthEvents(env, uuid, before) {
+  const { results } = await env.PACKSYNCR_DB.prepare(`
+    SELECT event, session_id, ip, user_agent, country, asn, as_organization, created_at
+    FROM auth_events
+    WHERE uuid = ? AND created_at < ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).bind(uuid, before ?? Number.MAX_SAFE_INTEGER, AUDIT_LOG_PAGE_SIZE).all();
+
+  return results;
+}
+
+/**
+ * Delete auth events older than AUTH_EVENT_RETENTION_SECONDS, run on the cron.
+ * Deletes in batches and at most PRUNE_BATCHES_PER_RUN per run, a backlog is worked off over the next runs.
+ */
+export async function pruneAuthEvents(env) {
+  const cutoff = Math.floor(Date.now() / 1000) - parseInt(env.AUTH_EVENT_RETENTION_SECONDS || "7776000", 10);
+
+  for (let i = 0; i < PRUNE_BATCHES_PER_RUN; i++) {
+    const result = await env.PACKSYNCR_DB.prepare(`
+      DELETE FROM auth_events
+      WHERE event_id IN (
+        SELECT event_id
+        FROM auth_events
+        WHERE created_at < ?
+        LIMIT ?
+      )
+    `).bind(cutoff, PRUNE_BATCH_SIZE).run();
+
+    if (result.meta.changes < PRUNE_BATCH_SIZE) {
+      return;
+    }
+  }
+}
+
+/**
+ * Add a notification to the user's inbox.
+ */
+export async function createNotification(env, uuid, type, data) {
+  await env.PACKSYNCR_DB.prepare(`
+    INSERT INTO notifications (notification_id, uuid, type, data, created_at, read_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(crypto.randomUUID(), uuid, type, JSON.stringify(data), Math.floor(Date.now() / 1000), null).run();
+}
+
+/**
+ * Get the user's notifications, newest first.
+ */
+export async function getNotifications(env, uuid, unreadOnly) {
+  const { results } = await env.PACKSYNCR_DB.prepare(`
+    SELECT notification_id, type, data, created_at, read_at
+    FROM notifications
+    WHERE uuid = ? ${unreadOnly ? "AND read_at IS NULL" : ""}
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).bind(uuid, AUDIT_LOG_PAGE_SIZE).all();
+
+  return results.map(notification => ({ ...notification, data: JSON.parse(notification.data) }));
+}
+
+/**
+ * Mark one notification, or every notification when notification_id is null, as read.
+ */
+export async function markNotificationsRead(env, uuid, notification_id) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const result = await env.PACKSYNCR_DB.prepare(`
+    UPDATE notifications
+    SET read_at = ?
+    WHERE uuid = ? AND read_at IS NULL ${notification_id ? "AND notification_id = ?" : ""}
+  `).bind(now, uuid, ...(notification_id ? [notification_id] : [])).run();
+
+  if (notification_id && result.meta.changes === 0) {
+    throw new Error("notification_not_found");
+  }
+}
+
+/**
+ * Check if the user has successful events before, none of them from this country or none from this ASN.
+ */
+async function isNewLocation(env, uuid, country, asn) {
+  const seen = await env.PACKSYNCR_DB.prepare(`
+    SELECT
+      COUNT(*) AS total,
+      COUNT(CASE WHEN country = ? THEN 1 END) AS same_country,
+      COUNT(CASE WHEN asn = ? THEN 1 END) AS same_asn
+    FROM auth_events
+    WHERE uuid = ? AND event != 'refresh_failed' AND (country IS NOT NULL OR asn IS NOT NULL)
+  `).bind(country, asn, uuid).first();
+
+  if (seen.total === 0) {
+    return false; // First located sign-in, nothing to compare against
+  }
+  return (country !== null && seen.same_country === 0) || (asn !== null && seen.same_asn === 0);
+}
@@ -3,70 +3,225 @@
  * 
  * Environment Variables:
  * - JWT_SECRET (string)
+ * - JWT_KEYS (JSON string, see utilities/jwt.js)
+ * - JWT_PRIVATE_KEY (JWK JSON string, see utilities/jwt.js)
+ * - JWT_PUBLIC_KEYS (JWKS JSON string, see utilities/jwt.js)
  * - INTERNAL_SECRET (string)
+ * - INTERNAL_SIGNATURE_MAX_SKEW_SECONDS (string)
  * - REFRESH_TOKEN_EXPIRY_SECONDS (string)
+ * - REFRESH_TOKEN_GRACE_SECONDS (string)
+ * - REFRESH_TOKEN_PEPPER (string)
+ * - TOKEN_VERSION_CACHE_SECONDS (string)
+ * - DEVICE_VERIFICATION_URI (string)
+ * - ACCOUNT_DELETION_COOLING_OFF_SECONDS (string)
+ * - EXPORT_LINK_SECRET (string)
+ * - RATE_LIMITS (JSON string, see utilities/rate-limit.js)
+ * - CORS_ALLOWED_ORIGINS (string, see utilities/cors.js)
+ * - CSRF_SECRET (string, see csrf.js)
+ * - CSRF_REQUIRED_AFTER (string, see csrf.js)
+ * - AUTH_EVENT_RETENTION_SECONDS (string, see audit.js)
  * 
  * Endpoints:
  * - POST /refresh-token (Azure only)
  * - POST /access-token (frontend)
  * - POST /logout (frontend)
+ * - GET /me (frontend)
+ * - POST /account/delete (frontend)
+ * - POST /account/delete/cancel (frontend)
+ * - POST /account/export (frontend)
+ * - GET /account/export (frontend)
+ * - GET /account/export/download (signed link)
+ * - GET /account/audit-log (frontend)
+ * 
+ * - GET /notifications (frontend)
+ * - POST /notifications/read (frontend)
+ * 
+ * - GET /sessions (frontend)
+ * - POST /sessions/revoke (frontend)
+ * 
+ * - GET /api-tokens (frontend)
+ * - POST /api-tokens/create (frontend)
+ * - POST /api-tokens/revoke (frontend)
+ * 
+ * - POST /device/code (in-game / CLI client)
+ * - POST /device/approve (frontend)
+ * - POST /device/token (in-game / CLI client)
+ * 
+ * - GET /.well-known/jwks.json (public)
+ * 
+ * - /admin/* (admin role only, see admin.js)
+ * 
+ * Scheduled (cron):
+ * - Account deletion sign_out and account steps (see utilities/account-deletion.js)
+ * - Data export staging, archiving and expiry (see export.js)
+ * - Expired device code cleanup (see device.js)
+ * - Auth event retention (see audit.js)
  */
 
-import { generateJWT, verifyJWT } from "./utilities/jwt.js";
+import { generateJWT, getAccessTokenPayload, getPublicJwks, getTokenVersion, forgetTokenState, hasScope, parseScope, ADMIN_SCOPE } from "./utilities/jwt.js";
+import { hmacSha256Hex, sha256Hex, timingSafeEqual } from "./utilities/crypto.js";
+import { createApiToken, listApiTokens, revokeApiToken } from "./utilities/api-tokens.js";
+import { runAccountDeletionStep, isAccountBeingDeleted } from "./utilities/account-deletion.js";
+import { getActiveSuspension } from "./utilities/suspension.js";
+import { withCors, preflightResponse, findPreflightRoute } from "./utilities/cors.js";
+import { checkRateLimit, rateLimitedResponse, getClientIp } from "./utilities/rate-limit.js";
+import { createDeviceCode, approveDeviceCode, pollDeviceCode, deleteExpiredDeviceCodes } from "./device.js";
+import { getAccountOverview, requestAccountDeletion, cancelAccountDeletion, purgeAccount, signOutAllDevices } from "./account.js";
+import { ADMIN_ROUTES, handleAdminRequest } from "./admin.js";
+import { CSRF_COOKIE, CSRF_HEADER, createCsrfToken, isBrowserRequest, verifyRequestOrigin, verifyCsrfToken, canIssueMissingCsrfToken, csrfCookie } from "./csrf.js";
+import { recordAuthEvent, getAuthEvents, getNotifications, markNotificationsRead, pruneAuthEvents } from "./audit.js";
+import { requestDataExport, getDataExport, getDataExportArchive, processDataExports, deleteUserExports } from "./export.js";
+
+// How a user owns Minecraft: Java Edition (checked by auth-proxy on every login)
+const OWNERSHIP_SOURCES = ["purchase", "game_pass"];
 
-const FRONTEND_ORIGIN = "https://www.packsyncr.com";
-const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": FRONTEND_ORIGIN,
-  "Access-Control-Allow-Credentials": "true",
-  "Access-Control-Allow-Headers": "Content-Type",
-  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+// Session Rules
+const DEVICE_LABEL_MAX_LENGTH = 64;
+const USER_AGENT_MAX_LENGTH = 256;
+
+const JSON_HEADERS = {
   "Content-Type": "application/json"
 };
 
+// Headers the frontend sends cross-origin (see findPreflightRoute in utilities/cors.js)
+const BROWSER_HEADERS = ["Content-Type", "Authorization"];
+
+/**
+ * Routes and the access token scope each one requires.
+ * Routes without a scope are not called with an access token and authenticate the request in their handler.
+ * Preflights are answered from this table (and ADMIN_ROUTES): cors: false marks the Azure-only, device client, public
+ * and download routes the frontend never calls with fetch, headers lists extra headers a route's preflight allows.
+ * relayedIp marks routes rate limited by the end user's IP auth-proxy relays, once the request is verified, instead of
+ * the client IP (always an Azure auth-proxy IP).
+ */
+const ROUTES = {
+  "POST /refresh-token": { handler: handleCreateRefresh, cors: false, relayedIp: true },
+  "GET /access-token": { handler: handleCreateAccess, headers: [CSRF_HEADER] },
+  "POST /logout": { handler: handleLogout },
+  "GET /me": { handler: handleGetMe, scope: "account:read" },
+  "POST /account/delete": { handler: handleDeleteAccount, scope: "account:write" },
+  "POST /account/delete/cancel": { handler: handleCancelDeleteAccount, scope: "account:write" },
+  "POST /account/export": { handler: handleRequestExport, scope: "account:read" },
+  "GET /account/export": { handler: handleGetExport, scope: "account:read" },
+  "GET /account/export/download": { handler: handleDownloadExport, cors: false },
+  "GET /account/audit-log": { handler: handleGetAuditLog, scope: "account:read" },
+  "GET /notifications": { handler: handleGetNotifications, scope: "account:read" },
+  "POST /notifications/read": { handler: handleReadNotifications, scope: "account:write" },
+  "GET /sessions": { handler: handleListSessions, scope: "account:read" },
+  "POST /sessions/revoke": { handler: handleRevokeSession, scope: "account:write" },
+  "GET /api-tokens": { handler: handleListApiTokens, scope: "account:read" },
+  "POST /api-tokens/create": { handler: handleCreateApiToken, scope: "account:write" },
+  "POST /api-tokens/revoke": { handler: handleRevokeApiToken, scope: "account:write" },
+  "POST /device/code": { handler: handleDeviceCode, cors: false },
+  "POST /device/approve": { handler: handleDeviceApprove, scope: "account:write" },
+  "POST /device/token": { handler: handleDeviceToken, cors: false },
+  "GET /.well-known/jwks.json": { handler: handleJwks, cors: false }
+};
+
+export { RateLimiter } from "./utilities/rate-limit.js";
+
 export default {
   async fetch(request, env) {
-    const url = new URL(request.url);
-    const path = url.pathname.replace(/\/$/, "");
+    return withCors(await routeRequest(request, env), request, env);
+  },
 
-    // Handle preflight
-    if (request.method === "OPTIONS") {
-      return new Response(null, { status: 204, headers: CORS_HEADERS });
-    }
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil((async () => {
+      await runAccountDeletionStep(env, "sign_out", (env, uuid) => signOutAllDevices(uuid, env));
+      await runAccountDeletionStep(env, "account", async (env, uuid) => {
+        await deleteUserExports(env, uuid);
+        await purgeAccount(env, uuid);
+      });
+      await processDataExports(env);
+      await deleteExpiredDeviceCodes(env);
+      await pruneAuthEvents(env);
+    })());
+  }
+};
 
-    try {
-      if (path === "/refresh-token" && request.method === "POST") {
-        return await handleCreateRefresh(request, env);
-      }
-      if (path === "/access-token" && request.method === "GET") {
-        return await handleCreateAccess(request, env);
-      }
-      if (path === "/logout" && request.method === "POST") {
-        return await handleLogout(request, env);
+/**
+ * Route a request to its handler (CORS headers are added by fetch).
+ */
+async function routeRequest(request, env) {
+  const url = new URL(request.url);
+  const path = url.pathname.replace(/\/$/, "");
+
+  // Handle preflight
+  if (request.method === "OPTIONS") {
+    return preflightResponse(request, env, findPreflightRoute({ ...ROUTES, ...ADMIN_ROUTES }, path, BROWSER_HEADERS));
+  }
+
+  try {
+    // Admin routes share one rate limit by client IP
+    if (path.startsWith("/admin/")) {
+      const retryAfter = await checkRateLimit(env, "/admin", [getClientIp(request)]);
+      if (retryAfter !== null) {
+        return rateLimitedResponse(retryAfter, JSON_HEADERS);
       }
+      return await handleAdminRequest(request, env, path);
+    }
+
+    // Request Handler
+    const route = ROUTES[`${request.method} ${path}`];
+    if (!route) {
       return new Response("Not found", {
         status: 404,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
+    }
+
+    // Rate limit the route by client IP, before the request is authenticated
+    if (!route.relayedIp) {
+      const retryAfter = await checkRateLimit(env, path, [getClientIp(request)]);
+      if (retryAfter !== null) {
+        return rateLimitedResponse(retryAfter, JSON_HEADERS);
+      }
+    }
+
+    // Routes without a scope authenticate the request themselves (internal signature, cookies or device code)
+    if (!route.scope) {
+      return await route.handler(request, env);
+    }
+
+    // Extract access token payload
+    let payload;
+    try {
+      payload = await getAccessTokenPayload(request, env);
     } catch (err) {
-      console.error("Unhandled error:", err);
-      return new Response(JSON.stringify({ error: "internal_error" }), {
-        status: 500,
-        headers: CORS_HEADERS
+      return new Response(JSON.stringify({ error: err.message }), {
+        status: err.message === "account_suspended" ? 403 : 401,
+        headers: JSON_HEADERS
+      });
+    }
+
+    // Check the access token grants the route's scope
+    if (!hasScope(payload, route.scope)) {
+      return new Response(JSON.stringify({ error: "insufficient_scope", required_scope: route.scope }), {
+        status: 403,
+        headers: JSON_HEADERS
       });
     }
+
+    return await route.handler(request, env, payload);
+  } catch (err) {
+    console.error("Unhandled error:", err);
+    return new Response(JSON.stringify({ error: "internal_error" }), {
+      status: 500,
+      headers: JSON_HEADERS
+    });
   }
-};
+}
 
 /**
  * /refresh-token
  * Called by Azure auth-proxy after it verified OAuth code and retrieves user's Minecraft profile.
- * Body: { uuid: "<uuid>", username: "<username>", email: "<email>" }
- * Headers: x-internal-auth: <INTERNAL_SECRET>
+ * Body: { uuid: "<uuid>", username: "<username>", email: "<email>", ownership_source: "purchase" | "game_pass", device_label?: "<label>", user_agent?: "<user agent>", ip?: "<client ip>", country?: "<client country code>" }
+ * Headers: x-internal-timestamp, x-internal-nonce, x-internal-signature (see verifyInternalRequest)
  */
 async function handleCreateRefresh(request, env) {
-  // Only accept requests from Azure with INTERNAL_SECRET
-  const provided = request.headers.get("x-internal-auth");
-  if (!provided || provided !== env.INTERNAL_SECRET) {
+  // Only accept requests signed by Azure with INTERNAL_SECRET
+  const rawBody = await request.text();
+  if (!(await verifyInternalRequest(request, rawBody, env))) {
     return new Response(JSON.stringify({ error: "forbidden" }), {
       status: 403,
       headers : {
@@ -78,7 +233,7 @@ async function handleCreateRefresh(request, env) {
   // Retrieve body information
   let body;
   try {
-    body = await request.json();
+    body = JSON.parse(rawBody);
   } catch (err) {
     return new Response(JSON.stringify({ error: "invalid_body" }), {
       status: 404,
@@ -87,6 +242,15 @@ async function handleCreateRefresh(request, env) {
       }
     })
   }
+
+  // Rate limit by the end user's IP relayed by auth-proxy (by the auth-proxy IP for requests without one)
+  const retryAfter = await checkRateLimit(env, "/refresh-token", [
+    typeof body.ip === "string" && body.ip ? `ip:${body.ip}` : getClientIp(request)
+  ]);
+  if (retryAfter !== null) {
+    return rateLimitedResponse(retryAfter, JSON_HEADERS);
+  }
+
   const uuid = body.uuid;
   if (!uuid) {
     return new Response(JSON.stringify({ error: "missing_uuid" }), {
@@ -114,72 +278,250 @@ async function handleCreateRefresh(request, env) {
       }
     })
   }
+  const ownershipSource = body.ownership_source;
+  if (!OWNERSHIP_SOURCES.includes(ownershipSource)) {
+    return new Response(JSON.stringify({ error: "invalid_ownership_source" }), {
+      status: 400,
+      headers: {
+        "Content-Type": "application/json"
+      }
+    });
+  }
+
+  // Retrieve optional device information for the session
+  const device = {
+    device_label: typeof body.device_label === "string" ? body.device_label.slice(0, DEVICE_LABEL_MAX_LENGTH) : null,
+    user_agent: typeof body.user_agent === "string" ? body.user_agent.slice(0, USER_AGENT_MAX_LENGTH) : null
+  };
+
+  // Refuse to sign in an account that is being purged
+  if (await isAccountBeingDeleted(env, uuid)) {
+    return new Response(JSON.stringify({ error: "account_deletion_in_progress" }), {
+      status: 409,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
 
   // Retrieve refresh token
-  const { refreshToken, isNewUser } = await retrieveRefreshToken(env, uuid, username, email);
+  let refreshToken, sessionId, isNewUser, profileUpdated;
+  try {
+    ({ refreshToken, sessionId, isNewUser, profileUpdated } = await retrieveRefreshToken(env, uuid, username, email, ownershipSource, device));
+  } catch (err) {
+    if (err.message !== "account_suspended") {
+      throw err;
+    }
+    return suspendedResponse(await getActiveSuspension(env, uuid));
+  }
+
+  // Record the login with the client details relayed by auth-proxy
+  await auditEvent(env, request, uuid, "login", {
+    session_id: sessionId,
+    ip: typeof body.ip === "string" ? body.ip : null,
+    user_agent: device.user_agent,
+    country: typeof body.country === "string" && /^[A-Z]{2}$/.test(body.country) ? body.country : null
+  });
 
-  // Return the refresh token
-  return new Response(JSON.stringify({ refresh_token: refreshToken, newUser: isNewUser }), {
+  // Return the refresh token, with the CSRF token auth-proxy sets alongside it
+  return new Response(JSON.stringify({
+    refresh_token: refreshToken,
+    csrf_token: await createCsrfToken(env, uuid),
+    newUser: isNewUser,
+    profile_updated: profileUpdated
+  }), {
     status: 200,
     headers: { "Content-Type": "application/json" }
   });
 }
 
 /**
- * Create or retrieve an existing refresh token.
- * If the user is not currently in the database, their account must be created and given a refresh token.
+ * Verify an internal request from Azure auth-proxy.
+ * The signature is a hex HMAC-SHA-256 (keyed with INTERNAL_SECRET) over:
+ *   METHOD \n PATH \n TIMESTAMP \n NONCE \n hex SHA-256 of the body
+ * Requests outside the allowed clock skew, or reusing a nonce, are rejected.
  */
-async function retrieveRefreshToken(env, uuid, username, email) {
-  const now = Math.floor(Date.now() / 1000); // Current unix timestamp in seconds
-  const expiration = now + parseInt(env.REFRESH_TOKEN_EXPIRY_SECONDS || "15552000", 10); // Refresh token expire unix timestamp in seconds
+async function verifyInternalRequest(request, rawBody, env) {
+  const now = Math.floor(Date.now() / 1000);
+  const maxSkew = parseInt(env.INTERNAL_SIGNATURE_MAX_SKEW_SECONDS || "300", 10);
 
-  // Step 1: Check for existing refresh token
-  const existingToken = await env.PACKSYNCR_DB.prepare(`
-    SELECT token_value, expires_at FROM refresh_tokens
-    WHERE uuid = ?
-  `).bind(uuid).first();
+  const timestamp = request.headers.get("x-internal-timestamp");
+  const nonce = request.headers.get("x-internal-nonce");
+  const signature = request.headers.get("x-internal-signature");
+  if (!timestamp || !nonce || !signature || !env.INTERNAL_SECRET) {
+    return false;
+  }
+
+  // Check the request is recent
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - parseInt(timestamp, 10)) > maxSkew) {
+    return false;
+  }
+  if (!/^[A-Za-z0-9-]{16,64}$/.test(nonce)) {
+    return false;
+  }
 
-  // Step 2: If there is a valid unexpired token, return it
-  if (existingToken && existingToken.expires_at > now + 86400) { // existing token should have at least one day left
-    return {
-      refreshToken: existingToken.token_value,
-      isNewUser: false
-    };
+  // Check the signature
+  const canonical = [
+    request.method,
+    new URL(request.url).pathname,
+    timestamp,
+    nonce,
+    await sha256Hex(rawBody)
+  ].join("\n");
+  const expected = await hmacSha256Hex(env.INTERNAL_SECRET, canonical);
+  if (!timingSafeEqual(expected, signature)) {
+    return false;
   }
 
-  // Step 3: Check if the user exists in 'users' table
+  // Record the nonce, rejecting replays (nonces only need to outlive the allowed skew)
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM internal_nonces
+    WHERE expires_at < ?
+  `).bind(now).run();
+
+  const result = await env.PACKSYNCR_DB.prepare(`
+    INSERT OR IGNORE INTO internal_nonces (nonce, expires_at)
+    VALUES (?, ?)
+  `).bind(nonce, now + maxSkew * 2).run();
+
+  return result.meta.changes === 1;
+}
+
+/**
+ * Create a new session for this login and return its refresh token.
+ * If the user is not currently in the database, their account must be created first.
+ * Otherwise their username and email are reconciled with the profile from this login.
+ * Suspended users are refused with account_suspended before anything is written.
+ * The ownership source and check time are recorded on every login.
+ */
+async function retrieveRefreshToken(env, uuid, username, email, ownershipSource, device) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Step 1: Check if the user exists in 'users' table, and is not suspended
   const userExists = await env.PACKSYNCR_DB.prepare(`
-    SELECT uuid FROM users WHERE uuid = ?
+    SELECT uuid, username, email FROM users WHERE uuid = ?
   `).bind(uuid).first();
+  if (userExists && await getActiveSuspension(env, uuid)) {
+    throw new Error("account_suspended");
+  }
 
-  // Step 4: If the user does not exist, insert them into the database
+  // Step 2: If the user does not exist, insert them into the database, otherwise sync their profile
+  let profileUpdated = false;
   if (!userExists) {
     await env.PACKSYNCR_DB.prepare(`
-      INSERT INTO users (uuid, username, email)
-      VALUES (?, ?, ?)
-    `).bind(uuid, username, email).run();
+      INSERT INTO users (uuid, username, email, ownership_source, ownership_checked_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(uuid, username, email, ownershipSource, now, now).run();
+  } else {
+    profileUpdated = await syncProfile(env, userExists, username, email);
+
+    await env.PACKSYNCR_DB.prepare(`
+      UPDATE users
+      SET ownership_source = ?, ownership_checked_at = ?
+      WHERE uuid = ?
+    `).bind(ownershipSource, now, uuid).run();
+  }
+
+  // Step 3: Create a session for this device
+  const { refreshToken, session_id } = await createSession(env, uuid, device);
+
+  return {
+    refreshToken,
+    sessionId: session_id,
+    isNewUser: !userExists,
+    profileUpdated
+  };
+}
+
+/**
+ * Update the user's username and email if they changed since their last login (e.g. a Minecraft rename).
+ * Username changes are kept in username_history. Returns true if anything was updated.
+ */
+async function syncProfile(env, user, username, email) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (user.username === username && user.email === email) {
+    return false;
+  }
+
+  await env.PACKSYNCR_DB.prepare(`
+    UPDATE users
+    SET username = ?, email = ?
+    WHERE uuid = ?
+  `).bind(username, email, user.uuid).run();
+
+  if (user.username !== username) {
+    await env.PACKSYNCR_DB.prepare(`
+      INSERT INTO username_history (uuid, old_username, new_username, changed_at)
+      VALUES (?, ?, ?, ?)
+    `).bind(user.uuid, user.username, username, now).run();
   }
 
-  // Step 5: Generate a new refresh token and insert or update it in the database
+  return true;
+}
+
+/**
+ * Create a new session for the uuid and return its refresh token (only the hash is stored).
+ * Used by both the browser login (/refresh-token) and the device flow (/device/token).
+ * device.scope limits what the session's access tokens may ever be granted (null for every scope).
+ */
+async function createSession(env, uuid, device) {
+  const now = Math.floor(Date.now() / 1000); // Current unix timestamp in seconds
+  const expiration = now + parseInt(env.REFRESH_TOKEN_EXPIRY_SECONDS || "15552000", 10); // Refresh token expire unix timestamp in seconds
+
+  // Step 1: Clear out the user's expired sessions and their retired refresh tokens
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM sessions
+    WHERE uuid = ? AND expires_at <= ?
+  `).bind(uuid, now).run();
+
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM retired_refresh_tokens
+    WHERE uuid = ? AND session_id NOT IN (SELECT session_id FROM sessions WHERE uuid = ?)
+  `).bind(uuid, uuid).run();
+
+  // Step 2: Generate a new refresh token and store the session
+  const session_id = crypto.randomUUID();
   const newToken = crypto.randomUUID();
   await env.PACKSYNCR_DB.prepare(`
-    INSERT INTO refresh_tokens (uuid, token_value, expires_at)
-    VALUES(?, ?, ?)
-    ON CONFLICT(uuid) DO UPDATE SET
-      token_value = excluded.token_value,
-      expires_at = excluded.expires_at
-  `).bind(uuid, newToken, expiration).run();
+    INSERT INTO sessions (
+      session_id,
+      uuid,
+      token_hash,
+      device_label,
+      user_agent,
+      scope,
+      created_at,
+      last_used_at,
+      expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    session_id,
+    uuid,
+    await hashRefreshToken(newToken, env),
+    device.device_label,
+    device.user_agent,
+    device.scope ?? null,
+    now,
+    now, // Last used at creation time
+    expiration
+  ).run();
 
   return {
     refreshToken: newToken,
-    isNewUser: true
+    session_id
   };
 }
 
 /**
  * /access-token
  * Called by frontend to retrieve the user's information, which will be sent along with all future requests to verify the user's identity.
- * Cookies: { refresh_token, uuid }
+ * Cookies: { refresh_token, uuid, csrf_token }
+ * Headers: X-CSRF-Token: <csrf_token> (browsers only, see csrf.js)
+ * Query (optional): scope=<space-delimited scopes> to request a narrower token (e.g. "packs:read resources:read")
+ * Admins get the admin scope by default, anyone else requesting it gets 403 scope_not_granted.
+ * Rotates the refresh token on every call and returns the new one as a refresh_token cookie.
+ * Non-browser clients (no cookie jar) also get it in the body as refresh_token and must send it on their next call,
+ * the old one stops working after REFRESH_TOKEN_GRACE_SECONDS. Within the grace window no new token is issued
+ * (refresh_token is omitted) and the client keeps the one it has.
  */
 async function handleCreateAccess(request, env) {
   // Parse cookies
@@ -198,137 +540,1142 @@ async function handleCreateAccess(request, env) {
   if (!uuid || !refreshToken) {
     return new Response(JSON.stringify({ error: "missing_cookies" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
-  // Verify refresh token
-  const isValid = await verifyRefreshToken(refreshToken, uuid, env);
-  if (!isValid) {
-    return new Response(JSON.stringify({ error: "invalid_refresh_token" }), {
-      status: 401,
-      headers: CORS_HEADERS
+  // Check a browser request was not sent by another site, before the refresh token is used
+  // Sessions from before CSRF tokens have no csrf_token cookie, they get one on this refresh until the cutoff
+  let csrfToken = null;
+  let issueCsrfToken = false;
+  if (isBrowserRequest(request)) {
+    try {
+      verifyRequestOrigin(request, env);
+      if (cookies[CSRF_COOKIE] || !canIssueMissingCsrfToken(env)) {
+        await verifyCsrfToken(request, env, cookies[CSRF_COOKIE], uuid);
+        csrfToken = cookies[CSRF_COOKIE];
+      } else {
+        issueCsrfToken = true;
+      }
+    } catch (err) {
+      return new Response(JSON.stringify({ error: err.message }), {
+        status: 403,
+        headers: JSON_HEADERS
+      });
+    }
+  }
+
+  // Retrieve requested scope (defaults to the session's scope)
+  let requestedScope = null;
+  try {
+    const scopeParam = new URL(request.url).searchParams.get("scope");
+    requestedScope = scopeParam ? parseScope(scopeParam, [ADMIN_SCOPE]) : null;
+  } catch (err) {
+    return new Response(JSON.stringify({ error: err.message }), {
+      status: 400,
+      headers: JSON_HEADERS
     });
   }
 
-  // Generate access token
-  let accessToken;
+  // Exchange the refresh token for an access token
+  let session, accessToken, rotatedToken;
   try {
-    accessToken = await generateJWT(uuid, "access", env);
+    ({ session, accessToken, rotatedToken } = await refreshAccessToken(request, env, uuid, refreshToken, requestedScope));
   } catch (err) {
-    return new Response(JSON.stringify({ error: "token_generation_failed" }), {
-      status: 500,
-      headers: CORS_HEADERS
+    if (err.message === "account_suspended") {
+      return suspendedResponse(await getActiveSuspension(env, uuid));
+    }
+
+    const status =
+      err.message === "invalid_refresh_token" ? 401 :
+      err.message === "refresh_token_reused" ? 401 :
+      err.message === "scope_not_granted" ? 403 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
     });
   }
 
-  // Return the access token
-  return new Response(JSON.stringify({ access_token: accessToken }), {
+  // Return the access token, along with the rotated refresh token (and a new CSRF token) as cookies
+  // Browsers never see the refresh token itself, non-browser clients get it in the body as they have no cookie jar
+  const headers = new Headers(JSON_HEADERS);
+  const maxAge = session.expires_at - Math.floor(Date.now() / 1000);
+  if (rotatedToken) {
+    headers.append("Set-Cookie", `refresh_token=${encodeURIComponent(rotatedToken)}; Max-Age=${maxAge}; Domain=.packsyncr.com; Path=/access-token; HttpOnly; Secure; SameSite=None`);
+  }
+  if (issueCsrfToken) {
+    csrfToken = await createCsrfToken(env, uuid);
+    headers.append("Set-Cookie", csrfCookie(csrfToken, maxAge));
+  }
+
+  const body = { access_token: accessToken };
+  if (rotatedToken && !isBrowserRequest(request)) {
+    body.refresh_token = rotatedToken;
+  }
+  if (csrfToken) {
+    body.csrf_token = csrfToken;
+  }
+  return new Response(JSON.stringify(body), {
     status: 200,
-    headers: CORS_HEADERS
+    headers
   });
 }
 
 /**
- * Verify the user provided the correct refresh token for the uuid they are acting as
+ * Exchange a refresh token for an access token bound to its session, rotating the refresh token.
+ * Shared by /access-token (cookies) and the refresh_token grant of /device/token.
+ * The access token gets requestedScope, which must be within the session's scope (defaults to the session's scope).
+ * Returns { session, accessToken, rotatedToken, scope } (rotatedToken is null within the grace window).
+ * Throws invalid_refresh_token, refresh_token_reused, account_suspended, scope_not_granted or token_generation_failed.
  */
-async function verifyRefreshToken(refreshToken, uuid, env) {
+async function refreshAccessToken(request, env, uuid, refreshToken, requestedScope) {
+  // Verify refresh token
+  // Failures are only recorded for tokens that were issued to the uuid (expired or reused), as an unknown token
+  // says nothing about who the uuid cookie belongs to
+  let session;
   try {
-    // Query the refresh token from the database
-    const result = await env.PACKSYNCR_DB.prepare(`
-      SELECT token_value, expires_at
-      FROM refresh_tokens
-      WHERE uuid = ?
-    `).bind(uuid).first();
-
-    if (!result) {
-      return false;
+    session = await verifyRefreshToken(refreshToken, uuid, env);
+  } catch (err) {
+    if (err.message === "refresh_token_reused" || err.message === "refresh_token_expired") {
+      await auditEvent(env, request, uuid, "refresh_failed");
+    } else {
+      console.error("Error verifying refresh token", err);
     }
+    throw new Error(err.message === "refresh_token_reused" ? err.message : "invalid_refresh_token");
+  }
+  if (!session) {
+    throw new Error("invalid_refresh_token");
+  }
+
+  // Refuse to refresh suspended users
+  if (await getActiveSuspension(env, uuid)) {
+    throw new Error("account_suspended");
+  }
+
+  // A session approved for some scopes (device flow) can never be refreshed into more
+  // Browser sessions of admins also get the admin scope
+  const user = await env.PACKSYNCR_DB.prepare(`
+    SELECT role
+    FROM users
+    WHERE uuid = ?
+  `).bind(uuid).first();
+  const isAdmin = user?.role === "admin";
+
+  const sessionScope = session.scope ?? (isAdmin ? `${parseScope()} ${ADMIN_SCOPE}` : parseScope());
+  const scope = requestedScope ?? sessionScope;
+  if (!scope.split(" ").every(s => sessionScope.split(" ").includes(s))) {
+    throw new Error("scope_not_granted");
+  }
+
+  // Record session activity
+  await touchSession(session.session_id, request, env);
+  await auditEvent(env, request, uuid, "refresh", { session_id: session.session_id });
+
+  // Rotate refresh token (skipped when a just-rotated token is presented within the grace window)
+  let rotatedToken = null;
+  if (session.rotatable) {
+    rotatedToken = await rotateRefreshToken(session.session_id, session.token_hash, uuid, env);
+  }
 
-    // Check if the refresh token matches and is not expired
-    const now = Math.floor(Date.now() / 1000);
-    const expireTime = result.expires_at;
-    if (result.token_value !== refreshToken || now > expireTime) {
-      return false;
+  // Generate access token bound to the session and the user's current token version (with the admin role claim for admins)
+  let accessToken;
+  try {
+    const ver = await getTokenVersion(env, uuid);
+
+    const claims = { sid: session.session_id, ver, scope };
+    if (isAdmin) {
+      claims.role = "admin";
     }
-    return true;
+    accessToken = await generateJWT(uuid, "access", env, claims);
   } catch (err) {
-    console.error("Error verifying refresh token", err);
-    return false;
+    throw new Error("token_generation_failed");
   }
+
+  return { session, accessToken, rotatedToken, scope };
 }
 
 /**
- * /logout
- * Called by frontend to sign out all users by changing the refresh token.
- * Authorization: Bearer <access_token>
+ * Verify the user provided the correct refresh token for the uuid they are acting as.
+ * Returns the matching session on success, null for a token that was never issued to the uuid.
+ * A token of the uuid whose session expired or was revoked throws refresh_token_expired.
+ * A rotated-out token is accepted (without further rotation) for REFRESH_TOKEN_GRACE_SECONDS after it was replaced.
+ * Any other reuse of a rotated-out token revokes the whole session and throws refresh_token_reused.
  */
-async function handleLogout(request, env) {
-  // Extract Authorization header
-  const auth = request.headers.get("Authorization") || "";
+async function verifyRefreshToken(refreshToken, uuid, env) {
+  const now = Math.floor(Date.now() / 1000);
+  const grace = parseInt(env.REFRESH_TOKEN_GRACE_SECONDS || "30", 10);
+  const tokenHash = await hashRefreshToken(refreshToken, env);
 
-  if (!auth.startsWith("Bearer ")) {
-    return new Response(JSON.stringify({ error: "missing_bearer_token" }), {
-      status: 401,
-      headers: CORS_HEADERS
-    });
+  // Step 1: Check if the refresh token is the current token of a session
+  const session = await env.PACKSYNCR_DB.prepare(`
+    SELECT session_id, token_hash, scope, expires_at
+    FROM sessions
+    WHERE uuid = ? AND token_hash = ?
+  `).bind(uuid, tokenHash).first() ?? await upgradeLegacySession(refreshToken, tokenHash, uuid, env);
+
+  if (session && timingSafeEqual(session.token_hash, tokenHash)) {
+    if (now > session.expires_at) {
+      throw new Error("refresh_token_expired");
+    }
+    return { ...session, rotatable: true };
+  }
+
+  // Step 2: Check if the refresh token has been rotated out of a session
+  const retired = await env.PACKSYNCR_DB.prepare(`
+    SELECT session_id, retired_at
+    FROM retired_refresh_tokens
+    WHERE uuid = ? AND token_hash = ?
+  `).bind(uuid, tokenHash).first();
+
+  if (!retired) {
+    return null;
+  }
+
+  const family = await env.PACKSYNCR_DB.prepare(`
+    SELECT session_id, scope, expires_at, rotated_at
+    FROM sessions
+    WHERE session_id = ?
+  `).bind(retired.session_id).first();
+
+  if (!family || now > family.expires_at) {
+    throw new Error("refresh_token_expired");
+  }
+
+  // Step 3: Allow the most recently rotated-out token during the grace window (concurrent requests)
+  if (retired.retired_at === family.rotated_at && now - retired.retired_at <= grace) {
+    return { session_id: family.session_id, scope: family.scope, expires_at: family.expires_at, rotatable: false };
+  }
+
+  // Step 4: Otherwise the token was stolen or replayed, so revoke the whole family
+  console.warn("Refresh token reuse detected, revoking session", family.session_id);
+  await revokeSession(uuid, family.session_id, env);
+  throw new Error("refresh_token_reused");
+}
+
+/**
+ * Migrate a session created before refresh tokens were hashed (including the refresh_tokens rows carried over
+ * by migrations/0002_sessions.sql). The raw token_value is replaced by its hash the first time it is used;
+ * returns the upgraded session or null.
+ */
+async function upgradeLegacySession(refreshToken, tokenHash, uuid, env) {
+  const legacy = await env.PACKSYNCR_DB.prepare(`
+    SELECT session_id, token_value, expires_at
+    FROM sessions
+    WHERE uuid = ? AND token_hash IS NULL AND token_value = ?
+  `).bind(uuid, refreshToken).first();
+
+  if (!legacy || !timingSafeEqual(legacy.token_value, refreshToken)) {
+    return null;
+  }
+
+  await env.PACKSYNCR_DB.prepare(`
+    UPDATE sessions
+    SET token_hash = ?, token_value = NULL
+    WHERE session_id = ?
+  `).bind(tokenHash, legacy.session_id).run();
+
+  return { session_id: legacy.session_id, token_hash: tokenHash, scope: null, expires_at: legacy.expires_at };
+}
+
+/**
+ * Replace the session's refresh token with a new one and retire the old one.
+ * Returns the new refresh token, or null if a concurrent request already rotated it.
+ */
+async function rotateRefreshToken(session_id, oldTokenHash, uuid, env) {
+  const now = Math.floor(Date.now() / 1000);
+  const newToken = crypto.randomUUID();
+
+  // Only rotate if the presented token is still the current one
+  const result = await env.PACKSYNCR_DB.prepare(`
+    UPDATE sessions
+    SET token_hash = ?, rotated_at = ?
+    WHERE session_id = ? AND token_hash = ?
+  `).bind(await hashRefreshToken(newToken, env), now, session_id, oldTokenHash).run();
+
+  if (result.meta.changes === 0) {
+    return null;
   }
 
-  const accessToken = auth.substring("Bearer ".length).trim();
+  // Keep the old token's hash so any later reuse can be detected
+  await env.PACKSYNCR_DB.prepare(`
+    INSERT INTO retired_refresh_tokens (token_hash, session_id, uuid, retired_at)
+    VALUES (?, ?, ?, ?)
+  `).bind(oldTokenHash, session_id, uuid, now).run();
+
+  return newToken;
+}
+
+/**
+ * Hash a refresh token for storage and lookup, keyed with the server-side pepper.
+ */
+async function hashRefreshToken(refreshToken, env) {
+  return hmacSha256Hex(env.REFRESH_TOKEN_PEPPER, refreshToken);
+}
+
+/**
+ * Update the last used time and country of a session.
+ */
+async function touchSession(session_id, request, env) {
+  const now = Math.floor(Date.now() / 1000);
+  const country = request.cf?.country ?? null;
+
+  await env.PACKSYNCR_DB.prepare(`
+    UPDATE sessions
+    SET last_used_at = ?, country = COALESCE(?, country)
+    WHERE session_id = ?
+  `).bind(now, country, session_id).run();
+}
 
-  // Verify access token
+/**
+ * /logout
+ * Called by frontend to sign out the current session, or every session with { all: true }.
+ * Authorization: Bearer <access_token>
+ * Body (optional): { all: true }
+ */
+async function handleLogout(request, env) {
+  // Verify access token (a revoked token, session or suspended account cannot sign out again)
   let payload;
   try {
-    payload = await verifyJWT(accessToken, "access", env);
+    payload = await getAccessTokenPayload(request, env);
   } catch (err) {
+    return new Response(JSON.stringify({ error: err.message }), {
+      status: err.message === "account_suspended" ? 403 : 401,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Personal API tokens belong to no session, they are revoked through /api-tokens instead
+  if (payload.tid) {
     return new Response(JSON.stringify({ error: "invalid_access_token" }), {
       status: 401,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
-
-  // Extract UUID from token payload
   const uuid = payload.sub;
-  if (!uuid) {
-    return new Response(JSON.stringify({ error: "invalid_token_payload" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+
+  // Retrieve optional body information
+  let body = {};
+  try {
+    body = await request.json();
+  } catch {
+    // No body means only the current session is signed out
   }
+  const all = body?.all === true || !payload.sid;
 
-  // Rotate refresh token (logs out all devices)
+  // End the current session, or every session for this uuid
   try {
-    await signOutAllDevices(uuid, env);
+    if (all) {
+      await signOutAllDevices(uuid, env);
+    } else {
+      await revokeSession(uuid, payload.sid, env);
+    }
   } catch (err) {
     console.error("Logout failed:", err);
     return new Response(JSON.stringify({ error: "logout_failed" }), {
       status: 500,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
+  await auditEvent(env, request, uuid, "logout", { session_id: all ? null : payload.sid });
 
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
 /**
- * Sign out all devices for a specific uuid be changing the refresh token.
+ * /me
+ * Called by frontend to show the user's profile, quotas with their usage, stored bytes and active session count.
+ * Authorization: Bearer <access_token>
  */
-async function signOutAllDevices(uuid, env) {
-  const now = Math.floor(Date.now() / 1000); // Current unix timestamp in seconds
-  const expiration = now + parseInt(env.REFRESH_TOKEN_EXPIRY_SECONDS || "15552000", 10); // Refresh token expire unix timestamp in seconds
+async function handleGetMe(request, env, payload) {
+  // Retrieve account overview
+  let account;
+  try {
+    account = await getAccountOverview(env, payload.sub);
+  } catch (err) {
+    const status =
+      err.message === "user_not_found" ? 404 :
+      500;
 
-  // Generate a new refresh token
-  const newToken = crypto.randomUUID();
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
 
-  // Update refresh token if it exists for this uuid
-  const result = await env.PACKSYNCR_DB.prepare(`
-    UPDATE refresh_tokens
-    SET token_value = ?, expires_at = ?
-    WHERE uuid = ?
-  `).bind(newToken, expiration, uuid).run();
+  return new Response(JSON.stringify(account), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
 
-  return result;
+/**
+ * /account/delete
+ * Called by frontend to schedule the account for deletion. Every session and issued token is revoked immediately.
+ * The user can sign in again and cancel during the cooling-off period, after which everything is purged.
+ * Authorization: Bearer <access_token>
+ */
+async function handleDeleteAccount(request, env, payload) {
+  // Schedule deletion, then revoke every session and token
+  const deletion = await requestAccountDeletion(env, payload.sub);
+  await signOutAllDevices(payload.sub, env);
+
+  return new Response(JSON.stringify({ success: true, deletion }), {
+    status: 202,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /account/delete/cancel
+ * Called by frontend to cancel a scheduled deletion during the cooling-off period.
+ * Authorization: Bearer <access_token>
+ */
+async function handleCancelDeleteAccount(request, env, payload) {
+  // Cancel deletion
+  try {
+    await cancelAccountDeletion(env, payload.sub);
+  } catch (err) {
+    const status =
+      err.message === "account_deletion_not_found" ? 404 :
+      err.message === "account_deletion_in_progress" ? 409 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
+
+  return new Response(JSON.stringify({ success: true }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /account/export
+ * Called by frontend to request an archive of all the user's data. Progress is read with GET /account/export.
+ * Authorization: Bearer <access_token>
+ */
+async function handleRequestExport(request, env, payload) {
+  // Queue export
+  let dataExport;
+  try {
+    dataExport = await requestDataExport(env, payload.sub);
+  } catch (err) {
+    const status =
+      err.message === "export_in_progress" ? 409 :
+      err.message === "export_recently_requested" ? 429 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
+
+  return new Response(JSON.stringify(dataExport), {
+    status: 202,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /account/export
+ * Called by frontend to show the progress of the latest export, with a short-lived download link once it is ready.
+ * Authorization: Bearer <access_token>
+ */
+async function handleGetExport(request, env, payload) {
+  // Retrieve latest export
+  let dataExport;
+  try {
+    dataExport = await getDataExport(env, payload.sub, new URL(request.url).origin);
+  } catch (err) {
+    const status =
+      err.message === "export_not_found" ? 404 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
+
+  return new Response(JSON.stringify(dataExport), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /account/export/download
+ * Opened by the browser from the signed link returned by GET /account/export.
+ * Query: export_id, expires, signature
+ */
+async function handleDownloadExport(request, env) {
+  const params = new URL(request.url).searchParams;
+
+  // Verify link and retrieve archive
+  let archive, created_at;
+  try {
+    ({ archive, created_at } = await getDataExportArchive(env, params.get("export_id"), params.get("expires"), params.get("signature")));
+  } catch (err) {
+    const status =
+      err.message === "invalid_download_link" ? 403 :
+      err.message === "export_not_found" ? 404 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  const date = new Date(created_at * 1000).toISOString().slice(0, 10);
+  return new Response(archive.body, {
+    status: 200,
+    headers: {
+      "Content-Type": "application/zip",
+      "Content-Length": String(archive.size),
+      "Content-Disposition": `attachment; filename="packsyncr-export-${date}.zip"`,
+      "Cache-Control": "private, no-store"
+    }
+  });
+}
+
+/**
+ * /account/audit-log
+ * Called by frontend to show the user's sign-in history (logins, token refreshes, failed refreshes and logouts).
+ * Authorization: Bearer <access_token>
+ * Query: before? (created_at of the last event seen, for the next page)
+ */
+async function handleGetAuditLog(request, env, payload) {
+  // Retrieve optional page cursor
+  const before = new URL(request.url).searchParams.get("before");
+  if (before !== null && !/^\d+$/.test(before)) {
+    return new Response(JSON.stringify({ error: "invalid_before" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  const events = await getAuthEvents(env, payload.sub, before === null ? undefined : parseInt(before, 10));
+
+  return new Response(JSON.stringify({ events }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /notifications
+ * Called by frontend to show the user's notification inbox (e.g. sign-ins from a new location).
+ * Authorization: Bearer <access_token>
+ * Query: unread? ("true" to only return unread notifications)
+ */
+async function handleGetNotifications(request, env, payload) {
+  const unreadOnly = new URL(request.url).searchParams.get("unread") === "true";
+  const notifications = await getNotifications(env, payload.sub, unreadOnly);
+
+  return new Response(JSON.stringify({ notifications }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /notifications/read
+ * Called by frontend to mark one notification, or every notification, as read.
+ * Authorization: Bearer <access_token>
+ * Body: { notification_id: "<notification_id>" } or { all: true }
+ */
+async function handleReadNotifications(request, env, payload) {
+  // Retrieve body information
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: "invalid_json" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  const { notification_id, all } = body;
+  if (all !== true && (!notification_id || typeof notification_id !== "string")) {
+    return new Response(JSON.stringify({ error: "invalid_notification_id" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Mark as read
+  try {
+    await markNotificationsRead(env, payload.sub, all === true ? null : notification_id);
+  } catch (err) {
+    const status =
+      err.message === "notification_not_found" ? 404 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
+
+  return new Response(JSON.stringify({ success: true }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /sessions
+ * Called by frontend to list the user's active sessions.
+ * Authorization: Bearer <access_token>
+ */
+async function handleListSessions(request, env, payload) {
+  // Retrieve uuid
+  const uuid = payload.sub;
+  const now = Math.floor(Date.now() / 1000);
+
+  // Retrieve unexpired sessions
+  const { results } = await env.PACKSYNCR_DB.prepare(`
+    SELECT session_id, device_label, user_agent, country, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE uuid = ? AND expires_at > ?
+    ORDER BY last_used_at DESC
+  `).bind(uuid, now).all();
+
+  const sessions = results.map(session => ({
+    ...session,
+    current: session.session_id === payload.sid
+  }));
+
+  return new Response(JSON.stringify({ sessions }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /sessions/revoke
+ * Called by frontend to revoke one session, or every session except the current one.
+ * Authorization: Bearer <access_token>
+ * Body: { session_id: "<session_id>" } or { all_others: true }
+ */
+async function handleRevokeSession(request, env, payload) {
+  // Retrieve uuid
+  const uuid = payload.sub;
+
+  // Retrieve body information
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: "invalid_json" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Revoke every other session
+  if (body.all_others === true) {
+    if (!payload.sid) {
+      return new Response(JSON.stringify({ error: "missing_session" }), {
+        status: 400,
+        headers: JSON_HEADERS
+      });
+    }
+
+    await revokeOtherSessions(uuid, payload.sid, env);
+    return new Response(JSON.stringify({ success: true }), {
+      status: 200,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Revoke a single session
+  const { session_id } = body;
+  if (!session_id || typeof session_id !== "string") {
+    return new Response(JSON.stringify({ error: "invalid_session_id" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  const result = await revokeSession(uuid, session_id, env);
+  if (result.meta.changes === 0) {
+    return new Response(JSON.stringify({ error: "session_not_found" }), {
+      status: 404,
+      headers: JSON_HEADERS
+    });
+  }
+
+  return new Response(JSON.stringify({ success: true }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /api-tokens
+ * Called by frontend to list the user's personal API tokens.
+ * Authorization: Bearer <access_token>
+ */
+async function handleListApiTokens(request, env, payload) {
+  // Retrieve token list
+  const api_tokens = await listApiTokens(env, payload.sub);
+
+  return new Response(JSON.stringify({ api_tokens }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /api-tokens/create
+ * Called by frontend to create a personal API token for scripts and launchers. The token is only returned once.
+ * Authorization: Bearer <access_token>
+ * Body: { name: "<name>", scope: "<space-delimited scopes>", duration?: <seconds> }
+ */
+async function handleCreateApiToken(request, env, payload) {
+  // Retrieve body information
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: "invalid_json" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Retrieve name, scope and duration (optional)
+  const { name, duration } = body;
+  if (!name || typeof name !== "string") {
+    return new Response(JSON.stringify({ error: "invalid_name" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+  if (!body.scope || typeof body.scope !== "string") {
+    return new Response(JSON.stringify({ error: "invalid_scope" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  let scope;
+  try {
+    scope = parseScope(body.scope);
+  } catch (err) {
+    return new Response(JSON.stringify({ error: err.message }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // A token can never be granted more than the requester holds
+  if (!scope.split(" ").every(s => hasScope(payload, s))) {
+    return new Response(JSON.stringify({ error: "scope_not_granted" }), {
+      status: 403,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Create API token
+  let apiToken;
+  try {
+    const token_version = await getTokenVersion(env, payload.sub);
+    apiToken = await createApiToken(env, payload.sub, name, scope, duration, token_version);
+  } catch (err) {
+    const status =
+      err.message === "invalid_name_length" ? 400 :
+      err.message === "invalid_duration" ? 400 :
+      err.message === "api_token_limit_reached" ? 403 :
+      err.message === "db_insert_failed" ? 500 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // API token has been created
+  return new Response(JSON.stringify(apiToken), {
+    status: 201,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /api-tokens/revoke
+ * Called by frontend to revoke a personal API token.
+ * Authorization: Bearer <access_token>
+ * Body: { token_id: "<token_id>" }
+ */
+async function handleRevokeApiToken(request, env, payload) {
+  // Retrieve body information
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: "invalid_json" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Retrieve token_id
+  const { token_id } = body;
+  if (!token_id || typeof token_id !== "string") {
+    return new Response(JSON.stringify({ error: "invalid_token_id" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Revoke API token
+  try {
+    await revokeApiToken(env, payload.sub, token_id);
+  } catch (err) {
+    const status =
+      err.message === "api_token_not_found" ? 404 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // API token has been revoked
+  return new Response(JSON.stringify({ success: true }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /device/code
+ * Called by an in-game or CLI client to start the device authorization flow.
+ * Body: { scope?: "<space-delimited scopes>", device_label?: "<label>" }
+ */
+async function handleDeviceCode(request, env) {
+  // Retrieve body information
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: "invalid_json" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Retrieve requested scope (defaults to every scope)
+  let scope;
+  try {
+    scope = parseScope(typeof body.scope === "string" ? body.scope : undefined);
+  } catch (err) {
+    return new Response(JSON.stringify({ error: err.message }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+  const device_label = typeof body.device_label === "string" ? body.device_label.slice(0, DEVICE_LABEL_MAX_LENGTH) : null;
+
+  // Create device code
+  const deviceCode = await createDeviceCode(env, scope, device_label);
+
+  return new Response(JSON.stringify(deviceCode), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /device/approve
+ * Called by frontend when the logged in user enters a user code, to approve (or deny) the device.
+ * Authorization: Bearer <access_token>
+ * Body: { user_code: "<user_code>", approve: true | false }
+ */
+async function handleDeviceApprove(request, env, payload) {
+  // Retrieve body information
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: "invalid_json" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Retrieve user_code and decision
+  const { user_code, approve } = body;
+  if (!user_code || typeof user_code !== "string") {
+    return new Response(JSON.stringify({ error: "invalid_user_code" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+  if (typeof approve !== "boolean") {
+    return new Response(JSON.stringify({ error: "invalid_approve" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Approve or deny the device
+  let result;
+  try {
+    result = await approveDeviceCode(env, user_code, payload, approve);
+  } catch (err) {
+    const status =
+      err.message === "device_code_expired" ? 400 :
+      err.message === "scope_not_granted" ? 403 :
+      err.message === "device_code_already_used" ? 409 :
+      err.message === "device_code_not_found" ? 404 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
+
+  return new Response(JSON.stringify({ success: true, ...result }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * /device/token
+ * Called by an in-game or CLI client every `interval` seconds until the user approves the device,
+ * then again whenever its access token expires.
+ * Body: { device_code: "<device_code>" }
+ *   or { grant_type: "refresh_token", uuid: "<uuid>", refresh_token: "<refresh_token>", scope (optional) }
+ * Returns a refresh/access token pair bound to a new session for a device code, or a new access token for a refresh token.
+ * The refresh token is rotated on every refresh and the new one returned as refresh_token, the old one stops working
+ * after REFRESH_TOKEN_GRACE_SECONDS. Within the grace window no new token is issued (refresh_token is omitted).
+ */
+async function handleDeviceToken(request, env) {
+  // Retrieve body information
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: "invalid_json" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  if (body?.grant_type === "refresh_token") {
+    return handleDeviceRefresh(request, env, body);
+  }
+
+  // Retrieve device_code
+  const { device_code } = body;
+  if (!device_code || typeof device_code !== "string") {
+    return new Response(JSON.stringify({ error: "invalid_request" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Poll the device code
+  let grant;
+  try {
+    grant = await pollDeviceCode(env, device_code);
+  } catch (err) {
+    const status =
+      err.message === "authorization_pending" ? 400 :
+      err.message === "slow_down" ? 400 :
+      err.message === "access_denied" ? 400 :
+      err.message === "expired_token" ? 400 :
+      err.message === "invalid_grant" ? 400 :
+      500;
+
+    return new Response(JSON.stringify({ error: err.message }), {
+      status,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Refuse suspended users (the device may have been approved before the suspension)
+  const suspension = await getActiveSuspension(env, grant.uuid);
+  if (suspension) {
+    return suspendedResponse(suspension);
+  }
+
+  // Create a session for the device
+  const { refreshToken, session_id } = await createSession(env, grant.uuid, {
+    device_label: grant.device_label,
+    user_agent: (request.headers.get("User-Agent") || "").slice(0, USER_AGENT_MAX_LENGTH) || null,
+    scope: grant.scope
+  });
+  await auditEvent(env, request, grant.uuid, "login", { session_id });
+
+  // Generate access token bound to the session
+  const ver = await getTokenVersion(env, grant.uuid);
+  const accessToken = await generateJWT(grant.uuid, "access", env, { sid: session_id, ver, scope: grant.scope });
+
+  return new Response(JSON.stringify({
+    uuid: grant.uuid,
+    refresh_token: refreshToken,
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: parseInt(env.ACCESS_TOKEN_EXPIRY_SECONDS || "900", 10),
+    scope: grant.scope
+  }), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * refresh_token grant of /device/token, with OAuth error codes (RFC 6749 section 5.2).
+ */
+async function handleDeviceRefresh(request, env, body) {
+  // Retrieve uuid, refresh_token and scope
+  const { uuid, refresh_token, scope } = body;
+  if (!uuid || typeof uuid !== "string" || !refresh_token || typeof refresh_token !== "string" || (scope != null && typeof scope !== "string")) {
+    return new Response(JSON.stringify({ error: "invalid_request" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  let requestedScope = null;
+  try {
+    requestedScope = scope ? parseScope(scope) : null;
+  } catch {
+    return new Response(JSON.stringify({ error: "invalid_scope" }), {
+      status: 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  // Exchange the refresh token for an access token
+  let result;
+  try {
+    result = await refreshAccessToken(request, env, uuid, refresh_token, requestedScope);
+  } catch (err) {
+    if (err.message === "account_suspended") {
+      return suspendedResponse(await getActiveSuspension(env, uuid));
+    }
+
+    const error =
+      err.message === "invalid_refresh_token" ? "invalid_grant" :
+      err.message === "refresh_token_reused" ? "invalid_grant" :
+      err.message === "scope_not_granted" ? "invalid_scope" :
+      err.message;
+
+    return new Response(JSON.stringify({ error }), {
+      status: error === err.message ? 500 : 400,
+      headers: JSON_HEADERS
+    });
+  }
+
+  const response = {
+    uuid,
+    access_token: result.accessToken,
+    token_type: "Bearer",
+    expires_in: parseInt(env.ACCESS_TOKEN_EXPIRY_SECONDS || "900", 10),
+    scope: result.scope
+  };
+  if (result.rotatedToken) {
+    response.refresh_token = result.rotatedToken;
+  }
+  return new Response(JSON.stringify(response), {
+    status: 200,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * 403 response for a suspended user, with the suspension's reason and expiry (-1 until lifted).
+ * suspension can be null if it expired since the user was refused.
+ */
+function suspendedResponse(suspension) {
+  return new Response(JSON.stringify({
+    error: "account_suspended",
+    suspension_reason: suspension?.reason ?? null,
+    suspension_expires_at: suspension?.expires_at ?? null
+  }), {
+    status: 403,
+    headers: JSON_HEADERS
+  });
+}
+
+/**
+ * Record an auth event without failing the request if the audit log cannot be written.
+ */
+async function auditEvent(env, request, uuid, event, details) {
+  try {
+    await recordAuthEvent(env, request, uuid, event, details);
+  } catch (err) {
+    console.error(`Failed to record ${event} event:`, err);
+  }
+}
+
+/**
+ * Revoke a single session belonging to the uuid.
+ */
+async function revokeSession(uuid, session_id, env) {
+  const result = await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM sessions
+    WHERE uuid = ? AND session_id = ?
+  `).bind(uuid, session_id).run();
+
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM retired_refresh_tokens
+    WHERE uuid = ? AND session_id = ?
+  `).bind(uuid, session_id).run();
+
+  forgetTokenState(uuid);
+  return result;
+}
+
+/**
+ * Revoke every session belonging to the uuid except the one given.
+ */
+async function revokeOtherSessions(uuid, session_id, env) {
+  const result = await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM sessions
+    WHERE uuid = ? AND session_id != ?
+  `).bind(uuid, session_id).run();
+
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM retired_refresh_tokens
+    WHERE uuid = ? AND session_id != ?
+  `).bind(uuid, session_id).run();
+
+  forgetTokenState(uuid);
+  return result;
+}
+
+/**
+ * /.well-known/jwks.json
+ * Public keys for verifying access tokens, used by pack-handler, resource-handler and third parties (e.g. server plugins).
+ */
+async function handleJwks(request, env) {
+  return new Response(JSON.stringify(getPublicJwks(env)), {
+    status: 200,
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=300",
+      "Content-Type": "application/json"
+    }
+  });
 }
@@ -0,0 +1,104 @@
+import { hmacSha256Hex, timingSafeEqual, randomToken } from "./utilities/crypto.js";
+import { getAllowedOrigin } from "./utilities/cors.js";
+
+/**
+ * CSRF protection for the cookie-authenticated /access-token route.
+ * The refresh_token and uuid cookies are SameSite=None, so the browser attaches them to requests from any page.
+ * Browser requests must therefore:
+ * 1. Come from an allowed origin (Origin header) through fetch. Sec-Fetch-Site / Sec-Fetch-Mode are checked when sent,
+ *    and a browser request without an allowed Origin (navigation, form, subresource, old browser) is refused.
+ * 2. Echo the csrf_token cookie in the X-CSRF-Token header (signed double-submit token).
+ * The token is "<nonce>.<hex HMAC-SHA-256 keyed with CSRF_SECRET over uuid \n nonce>", so a token set from a sibling
+ * subdomain or issued for another account does not verify. It is readable by the frontend (not HttpOnly) and is also
+ * returned in the login and /access-token bodies for frontends that cannot read the cookie.
+ * Sessions from before CSRF tokens have no csrf_token cookie: until CSRF_REQUIRED_AFTER (unix time in seconds, defaults
+ * to 2026-11-16) they are issued one on their next refresh (after passing the origin checks), after it they are refused
+ * and must log in again.
+ *
+ * A request is treated as a browser request if it has any header a browser always sends on its own (Origin,
+ * Sec-Fetch-*, Referer) or a browser User-Agent. A page cannot make the browser drop all of them, so only clients that
+ * set the cookies themselves (no cookie jar shared with a browser) skip both checks.
+ */
+export const CSRF_COOKIE = "csrf_token";
+export const CSRF_HEADER = "X-CSRF-Token";
+
+const CSRF_NONCE_BYTES = 18;
+const DEFAULT_CSRF_REQUIRED_AFTER = "1794787200"; // 2026-11-16, sessions not refreshed by then must log in again
+const ALLOWED_FETCH_SITES = ["same-origin", "same-site", "cross-site"]; // cross-site only with an allowed Origin (preview frontends)
+const ALLOWED_FETCH_MODES = ["cors", "same-origin"];
+const BROWSER_SIGNAL_HEADERS = ["Origin", "Sec-Fetch-Site", "Sec-Fetch-Mode", "Sec-Fetch-Dest", "Referer"];
+
+/**
+ * Issue a CSRF token bound to the uuid.
+ */
+export async function createCsrfToken(env, uuid) {
+  const nonce = randomToken(CSRF_NONCE_BYTES);
+  return `${nonce}.${await hmacSha256Hex(env.CSRF_SECRET, `${uuid}\n${nonce}`)}`;
+}
+
+/**
+ * Check if the request was sent by a browser (which attaches cookies on its own).
+ */
+export function isBrowserRequest(request) {
+  return BROWSER_SIGNAL_HEADERS.some(header => request.headers.has(header))
+    || (request.headers.get("User-Agent") || "").startsWith("Mozilla/");
+}
+
+/**
+ * Check a browser request comes from an allowed origin through fetch, not a navigation, form or subresource.
+ * Throws csrf_origin_mismatch otherwise.
+ */
+export function verifyRequestOrigin(request, env) {
+  // Sec-Fetch-* are only sent by newer browsers, the Origin check below covers the rest
+  const site = request.headers.get("Sec-Fetch-Site");
+  if (site !== null && !ALLOWED_FETCH_SITES.includes(site)) {
+    throw new Error("csrf_origin_mismatch");
+  }
+  const mode = request.headers.get("Sec-Fetch-Mode");
+  if (mode !== null && !ALLOWED_FETCH_MODES.includes(mode)) {
+    throw new Error("csrf_origin_mismatch");
+  }
+
+  // Every fetch from the frontend is cross-origin and sends Origin, so a missing or unknown one is refused
+  // (including cross-site requests that carry no Origin at all)
+  if (!getAllowedOrigin(request, env)) {
+    throw new Error("csrf_origin_mismatch");
+  }
+}
+
+/**
+ * Check if a session without a csrf_token cookie can still be issued one, rather than being refused.
+ */
+export function canIssueMissingCsrfToken(env, now = Math.floor(Date.now() / 1000)) {
+  return now < parseInt(env.CSRF_REQUIRED_AFTER || DEFAULT_CSRF_REQUIRED_AFTER, 10);
+}
+
+/**
+ * Check the X-CSRF-Token header matches the csrf_token cookie and was issued for the uuid.
+ * Throws csrf_token_missing or csrf_token_invalid.
+ */
+export async function verifyCsrfToken(request, env, cookieToken, uuid) {
+  const headerToken = request.headers.get(CSRF_HEADER);
+  if (!cookieToken || !headerToken) {
+    throw new Error("csrf_token_missing");
+  }
+  if (!timingSafeEqual(headerToken, cookieToken)) {
+    throw new Error("csrf_token_invalid");
+  }
+
+  const [nonce, signature, ...rest] = cookieToken.split(".");
+  if (!nonce || !signature || rest.length) {
+    throw new Error("csrf_token_invalid");
+  }
+  const expected = await hmacSha256Hex(env.CSRF_SECRET, `${uuid}\n${nonce}`);
+  if (!timingSafeEqual(expected, signature)) {
+    throw new Error("csrf_token_invalid");
+  }
+}
+
+/**
+ * Set-Cookie value for a CSRF token, sharing the lifetime of the refresh token cookie.
+ */
+export function csrfCookie(token, maxAge) {
+  return `${CSRF_COOKIE}=${encodeURIComponent(token)}; Max-Age=${maxAge}; Domain=.packsyncr.com; Path=/; Secure; SameSite=None`;
+}
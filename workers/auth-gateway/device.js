@@ -0,0 +1,187 @@
+import { sha256Hex, randomToken } from "./utilities/crypto.js";
+import { hasScope } from "./utilities/jwt.js";
+
+/**
+ * OAuth 2.0 device authorization flow (RFC 8628) for in-game and CLI clients that cannot receive a browser redirect.
+ * 1. The client requests a device_code/user_code pair.
+ * 2. The user enters the user_code on the website while logged in and approves it.
+ * 3. The client polls with the device_code until it receives a refresh/access token pair.
+ * 4. The client refreshes its access token with the refresh_token grant, rotating the refresh token each time.
+ */
+const DEVICE_CODE_EXPIRY_SECONDS = 600;
+const DEVICE_CODE_POLL_INTERVAL = 5;
+const USER_CODE_ALPHABET = "BCDFGHJKLMNPQRSTVWXZ"; // No vowels or look-alike characters
+const USER_CODE_LENGTH = 8;
+
+/**
+ * Create a pending device code. Only the hash of the device_code is stored.
+ */
+export async function createDeviceCode(env, scope, device_label) {
+  const now = Math.floor(Date.now() / 1000);
+  const device_code = randomToken();
+  const user_code = generateUserCode();
+
+  await env.PACKSYNCR_DB.prepare(`
+    INSERT INTO device_codes (
+      device_code_hash,
+      user_code,
+      scope,
+      device_label,
+      status,
+      uuid,
+      created_at,
+      expires_at,
+      last_polled_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    await sha256Hex(device_code),
+    user_code,
+    scope,
+    device_label,
+    "pending",
+    null,
+    now,
+    now + DEVICE_CODE_EXPIRY_SECONDS,
+    null
+  ).run();
+
+  const verification_uri = env.DEVICE_VERIFICATION_URI || "https://www.packsyncr.com/device";
+  return {
+    device_code,
+    user_code,
+    verification_uri,
+    verification_uri_complete: `${verification_uri}?user_code=${user_code}`,
+    expires_in: DEVICE_CODE_EXPIRY_SECONDS,
+    interval: DEVICE_CODE_POLL_INTERVAL
+  };
+}
+
+/**
+ * Approve or deny a pending device code on behalf of the logged in requester (access token payload).
+ * A device can never be granted a scope the requester does not hold.
+ * Returns the scope and device label that were approved so the frontend can show them.
+ */
+export async function approveDeviceCode(env, user_code, requester, approve) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Fetch device code
+  const deviceCode = await env.PACKSYNCR_DB.prepare(`
+    SELECT scope, device_label, status, expires_at
+    FROM device_codes
+    WHERE user_code = ?
+  `).bind(normalizeUserCode(user_code)).first();
+
+  if (!deviceCode) {
+    throw new Error("device_code_not_found");
+  }
+  if (now > deviceCode.expires_at) {
+    throw new Error("device_code_expired");
+  }
+  if (deviceCode.status !== "pending") {
+    throw new Error("device_code_already_used");
+  }
+  if (approve && !deviceCode.scope.split(" ").every(scope => hasScope(requester, scope))) {
+    throw new Error("scope_not_granted");
+  }
+
+  // Approve or deny (only while still pending)
+  const result = await env.PACKSYNCR_DB.prepare(`
+    UPDATE device_codes
+    SET status = ?, uuid = ?
+    WHERE user_code = ? AND status = 'pending'
+  `).bind(approve ? "approved" : "denied", requester.sub, normalizeUserCode(user_code)).run();
+
+  if (result.meta.changes === 0) {
+    throw new Error("device_code_already_used");
+  }
+
+  return { scope: deviceCode.scope, device_label: deviceCode.device_label };
+}
+
+/**
+ * Poll a device code. Throws the RFC 8628 error codes while it is not ready.
+ * Returns the approved uuid, scope and device label once, then the device code is consumed.
+ */
+export async function pollDeviceCode(env, device_code) {
+  const now = Math.floor(Date.now() / 1000);
+  const device_code_hash = await sha256Hex(device_code);
+
+  // Fetch device code
+  const deviceCode = await env.PACKSYNCR_DB.prepare(`
+    SELECT status, uuid, scope, device_label, expires_at, last_polled_at
+    FROM device_codes
+    WHERE device_code_hash = ?
+  `).bind(device_code_hash).first();
+
+  if (!deviceCode) {
+    throw new Error("invalid_grant");
+  }
+  if (now > deviceCode.expires_at) {
+    throw new Error("expired_token");
+  }
+
+  // Enforce the polling interval
+  if (deviceCode.last_polled_at !== null && now - deviceCode.last_polled_at < DEVICE_CODE_POLL_INTERVAL) {
+    throw new Error("slow_down");
+  }
+  await env.PACKSYNCR_DB.prepare(`
+    UPDATE device_codes
+    SET last_polled_at = ?
+    WHERE device_code_hash = ?
+  `).bind(now, device_code_hash).run();
+
+  if (deviceCode.status === "pending") {
+    throw new Error("authorization_pending");
+  }
+  if (deviceCode.status === "denied") {
+    throw new Error("access_denied");
+  }
+
+  // Consume the approved device code so it can only be exchanged once
+  const result = await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM device_codes
+    WHERE device_code_hash = ? AND status = 'approved'
+  `).bind(device_code_hash).run();
+
+  if (result.meta.changes === 0) {
+    throw new Error("invalid_grant");
+  }
+
+  return { uuid: deviceCode.uuid, scope: deviceCode.scope, device_label: deviceCode.device_label };
+}
+
+/**
+ * Delete expired device codes (pending, denied or approved but never exchanged), run on the cron.
+ * Exchanged device codes are already deleted by pollDeviceCode.
+ */
+export async function deleteExpiredDeviceCodes(env) {
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM device_codes
+    WHERE expires_at <= ?
+  `).bind(Math.floor(Date.now() / 1000)).run();
+}
+
+/**
+ * Generate a user code formatted as XXXX-XXXX.
+ */
+function generateUserCode() {
+  // Reject bytes past the largest multiple of the alphabet size to avoid modulo bias
+  const limit = 256 - (256 % USER_CODE_ALPHABET.length);
+  const chars = [];
+  while (chars.length < USER_CODE_LENGTH) {
+    for (const b of crypto.getRandomValues(new Uint8Array(USER_CODE_LENGTH))) {
+      if (b < limit && chars.length < USER_CODE_LENGTH) {
+        chars.push(USER_CODE_ALPHABET[b % USER_CODE_ALPHABET.length]);
+      }
+    }
+  }
+  return `${chars.slice(0, 4).join("")}-${chars.slice(4).join("")}`;
+}
+
+/**
+ * Normalize a user-entered code (case, spacing and missing dash).
+ */
+function normalizeUserCode(user_code) {
+  const chars = user_code.toUpperCase().replace(/[^A-Z]/g, "");
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
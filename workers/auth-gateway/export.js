@@ -0,0 +1,517 @@
+import { hmacSha256Hex, timingSafeEqual } from "./utilities/crypto.js";
+import { crc32, createZipStream } from "./zip.js";
+
+/**
+ * Personal data export.
+ * 1. The user requests an export, which is queued as "pending".
+ * 2. The scheduled handler lists every entry to export ("staging"), then snapshots a batch of entries per run into
+ *    EXPORT_BUCKET, recording each entry's size and CRC-32, so large accounts never hit the Worker CPU limit.
+ * 3. Once every entry is staged the ZIP is streamed into EXPORT_BUCKET and the export is "ready" until it expires.
+ * Downloads use a short-lived link signed with EXPORT_LINK_SECRET.
+ */
+const EXPORT_COOLDOWN_SECONDS = 86400; // One export per day
+const EXPORT_RETENTION_SECONDS = 7 * 86400;
+const EXPORT_LINK_EXPIRY_SECONDS = 3600;
+const EXPORT_MAX_ATTEMPTS = 5;
+const EXPORTS_PER_RUN = 3;
+const ENTRIES_PER_RUN = 25;
+const ENTRIES_PER_INSERT = 20; // 5 bound parameters per entry, D1 allows 100 per statement
+const STATEMENTS_PER_BATCH = 50;
+
+// Pack manifest location (see pack-handler/packs.js)
+const MANIFEST_LOCATION_PREFIX = "packs/";
+const MANIFEST_LOCATION_POSTFIX = "-manifest.json";
+
+/**
+ * Queue a data export for the user. Only one export can be in progress, and one can be requested per day.
+ */
+export async function requestDataExport(env, uuid) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Check for an export in progress or requested recently
+  const latest = await getLatestExport(env, uuid);
+  if (latest && (latest.status === "pending" || latest.status === "staging")) {
+    throw new Error("export_in_progress");
+  }
+  if (latest && now - latest.created_at < EXPORT_COOLDOWN_SECONDS) {
+    throw new Error("export_recently_requested");
+  }
+
+  const export_id = crypto.randomUUID();
+  await env.PACKSYNCR_DB.prepare(`
+    INSERT INTO data_exports (
+      export_id,
+      uuid,
+      status,
+      entries_total,
+      entries_done,
+      size_bytes,
+      attempts,
+      created_at,
+      completed_at,
+      expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(export_id, uuid, "pending", 0, 0, null, 0, now, null, null).run();
+
+  return { export_id, status: "pending", created_at: now };
+}
+
+/**
+ * Get the user's latest export with its progress, and a signed download link once it is ready.
+ */
+export async function getDataExport(env, uuid, origin) {
+  const latest = await getLatestExport(env, uuid);
+  if (!latest) {
+    throw new Error("export_not_found");
+  }
+
+  let download_url = null;
+  if (latest.status === "ready") {
+    const now = Math.floor(Date.now() / 1000);
+    const expires = Math.min(now + EXPORT_LINK_EXPIRY_SECONDS, latest.expires_at);
+    const signature = await hmacSha256Hex(env.EXPORT_LINK_SECRET, `${latest.export_id}\n${expires}`);
+    download_url = `${origin}/account/export/download?export_id=${latest.export_id}&expires=${expires}&signature=${signature}`;
+  }
+
+  return { ...latest, download_url };
+}
+
+/**
+ * Verify a signed download link and return the export archive from R2.
+ */
+export async function getDataExportArchive(env, export_id, expires, signature) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!export_id || !/^\d+$/.test(expires || "") || now > parseInt(expires, 10)) {
+    throw new Error("invalid_download_link");
+  }
+  const expected = await hmacSha256Hex(env.EXPORT_LINK_SECRET, `${export_id}\n${expires}`);
+  if (!timingSafeEqual(expected, signature)) {
+    throw new Error("invalid_download_link");
+  }
+
+  const dataExport = await env.PACKSYNCR_DB.prepare(`
+    SELECT status, created_at
+    FROM data_exports
+    WHERE export_id = ?
+  `).bind(export_id).first();
+
+  if (!dataExport || dataExport.status !== "ready") {
+    throw new Error("export_not_found");
+  }
+
+  const archive = await env.EXPORT_BUCKET.get(archiveKey(export_id));
+  if (!archive) {
+    throw new Error("export_not_found");
+  }
+
+  return { archive, created_at: dataExport.created_at };
+}
+
+/**
+ * Scheduled step: advance in-progress exports and remove expired ones.
+ */
+export async function processDataExports(env) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const { results } = await env.PACKSYNCR_DB.prepare(`
+    SELECT export_id, uuid, status, attempts
+    FROM data_exports
+    WHERE status IN ('pending', 'staging')
+    ORDER BY created_at ASC
+    LIMIT ?
+  `).bind(EXPORTS_PER_RUN).all();
+
+  for (const dataExport of results) {
+    try {
+      if (dataExport.status === "pending") {
+        await collectEntries(env, dataExport.export_id, dataExport.uuid);
+      } else {
+        await stageEntries(env, dataExport.export_id, dataExport.uuid);
+      }
+    } catch (err) {
+      console.error(`Data export ${dataExport.export_id} failed:`, err);
+
+      // Give up after repeated failures
+      await env.PACKSYNCR_DB.prepare(`
+        UPDATE data_exports
+        SET attempts = attempts + 1,
+            status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE status END
+        WHERE export_id = ?
+      `).bind(EXPORT_MAX_ATTEMPTS, dataExport.export_id).run();
+
+      if (dataExport.attempts + 1 >= EXPORT_MAX_ATTEMPTS) {
+        await deleteExportObjects(env, dataExport.export_id);
+      }
+    }
+  }
+
+  // Remove expired archives
+  const { results: expired } = await env.PACKSYNCR_DB.prepare(`
+    SELECT export_id
+    FROM data_exports
+    WHERE status = 'ready' AND expires_at <= ?
+  `).bind(now).all();
+
+  for (const { export_id } of expired) {
+    await deleteExportObjects(env, export_id);
+    await env.PACKSYNCR_DB.prepare(`
+      UPDATE data_exports
+      SET status = 'expired'
+      WHERE export_id = ?
+    `).bind(export_id).run();
+  }
+}
+
+/**
+ * Delete every export belonging to the user, with their archives (used by account deletion).
+ */
+export async function deleteUserExports(env, uuid) {
+  const { results } = await env.PACKSYNCR_DB.prepare(`
+    SELECT export_id
+    FROM data_exports
+    WHERE uuid = ?
+  `).bind(uuid).all();
+
+  for (const { export_id } of results) {
+    await deleteExportObjects(env, export_id);
+  }
+
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM data_exports
+    WHERE uuid = ?
+  `).bind(uuid).run();
+}
+
+/**
+ * List every entry of the archive: one JSON file per dataset, the manifest of each owned pack and each resource file.
+ */
+async function collectEntries(env, export_id, uuid) {
+  const entries = [
+    { name: "account.json", source: "json", source_key: "account" },
+    { name: "username_history.json", source: "json", source_key: "username_history" },
+    { name: "sessions.json", source: "json", source_key: "sessions" },
+    { name: "sign_in_history.json", source: "json", source_key: "auth_events" },
+    { name: "packs.json", source: "json", source_key: "packs" },
+    { name: "collaborations.json", source: "json", source_key: "collaborations" },
+    { name: "invites.json", source: "json", source_key: "invites" },
+    { name: "resources.json", source: "json", source_key: "resources" }
+  ];
+
+  // Manifest of each owned pack
+  const { results: packs } = await env.PACKSYNCR_DB.prepare(`
+    SELECT pack_uuid
+    FROM resource_packs
+    WHERE owner_uuid = ?
+  `).bind(uuid).all();
+
+  for (const { pack_uuid } of packs) {
+    entries.push({
+      name: `packs/${pack_uuid}/manifest.json`,
+      source: "manifest",
+      source_key: `${MANIFEST_LOCATION_PREFIX}${pack_uuid}${MANIFEST_LOCATION_POSTFIX}`
+    });
+  }
+
+  // Files of each owned resource
+  const { results: files } = await env.PACKSYNCR_DB.prepare(`
+    SELECT rf.resource_uuid, rf.file_uuid, rf.file_directory, rf.file_name, rf.r2_key
+    FROM resource_files rf
+    JOIN resources r ON rf.resource_uuid = r.resource_uuid
+    WHERE r.owner_uuid = ?
+  `).bind(uuid).all();
+
+  for (const file of files) {
+    entries.push({
+      name: `resources/${file.resource_uuid}/files/${file.file_uuid}/${file.file_directory}/${file.file_name}`,
+      source: "file",
+      source_key: file.r2_key
+    });
+  }
+
+  // Record the entries in chunks (D1 limits bound parameters per statement and statements per batch)
+  // A failed run leaves the export pending, so the next run clears the partial entries and starts over
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM data_export_entries
+    WHERE export_id = ?
+  `).bind(export_id).run();
+
+  const statements = [];
+  for (let start = 0; start < entries.length; start += ENTRIES_PER_INSERT) {
+    const rows = entries.slice(start, start + ENTRIES_PER_INSERT);
+    statements.push(env.PACKSYNCR_DB.prepare(`
+      INSERT INTO data_export_entries (export_id, entry_index, name, source, source_key, size_bytes, crc32)
+      VALUES ${rows.map(() => "(?, ?, ?, ?, ?, NULL, NULL)").join(", ")}
+    `).bind(...rows.flatMap((entry, i) => [export_id, start + i, entry.name, entry.source, entry.source_key])));
+  }
+  for (let start = 0; start < statements.length; start += STATEMENTS_PER_BATCH) {
+    await env.PACKSYNCR_DB.batch(statements.slice(start, start + STATEMENTS_PER_BATCH));
+  }
+
+  // Start staging once every entry is recorded
+  await env.PACKSYNCR_DB.prepare(`
+    UPDATE data_exports
+    SET status = 'staging', entries_total = ?, entries_done = 0
+    WHERE export_id = ?
+  `).bind(entries.length, export_id).run();
+}
+
+/**
+ * Snapshot the next batch of entries into EXPORT_BUCKET, then build the archive once all are staged.
+ */
+async function stageEntries(env, export_id, uuid) {
+  const { results: pending } = await env.PACKSYNCR_DB.prepare(`
+    SELECT entry_index, source, source_key
+    FROM data_export_entries
+    WHERE export_id = ? AND size_bytes IS NULL
+    ORDER BY entry_index ASC
+    LIMIT ?
+  `).bind(export_id, ENTRIES_PER_RUN).all();
+
+  for (const entry of pending) {
+    const bytes = await readEntrySource(env, uuid, entry);
+
+    // Source was deleted after the export started
+    if (bytes === null) {
+      await env.PACKSYNCR_DB.batch([
+        env.PACKSYNCR_DB.prepare(`
+          DELETE FROM data_export_entries
+          WHERE export_id = ? AND entry_index = ?
+        `).bind(export_id, entry.entry_index),
+        env.PACKSYNCR_DB.prepare(`
+          UPDATE data_exports
+          SET entries_total = entries_total - 1
+          WHERE export_id = ?
+        `).bind(export_id)
+      ]);
+      continue;
+    }
+
+    await env.EXPORT_BUCKET.put(stagedEntryKey(export_id, entry.entry_index), bytes);
+
+    await env.PACKSYNCR_DB.batch([
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE data_export_entries
+        SET size_bytes = ?, crc32 = ?
+        WHERE export_id = ? AND entry_index = ?
+      `).bind(bytes.length, crc32(bytes), export_id, entry.entry_index),
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE data_exports
+        SET entries_done = entries_done + 1
+        WHERE export_id = ?
+      `).bind(export_id)
+    ]);
+  }
+
+  if (pending.length < ENTRIES_PER_RUN) {
+    await buildArchive(env, export_id);
+  }
+}
+
+/**
+ * Stream every staged entry into a single ZIP in EXPORT_BUCKET and mark the export ready.
+ */
+async function buildArchive(env, export_id) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const { results: entries } = await env.PACKSYNCR_DB.prepare(`
+    SELECT entry_index, name, size_bytes, crc32
+    FROM data_export_entries
+    WHERE export_id = ?
+    ORDER BY entry_index ASC
+  `).bind(export_id).all();
+
+  const { stream, length } = createZipStream(entries, async entry => {
+    const staged = await env.EXPORT_BUCKET.get(stagedEntryKey(export_id, entry.entry_index));
+    if (!staged) {
+      throw new Error("staged_entry_missing");
+    }
+    return staged.body;
+  });
+
+  // R2 needs the length of a streamed upload up front
+  const { readable, writable } = new FixedLengthStream(length);
+  const piped = stream.pipeTo(writable);
+  await env.EXPORT_BUCKET.put(archiveKey(export_id), readable, {
+    httpMetadata: { contentType: "application/zip" }
+  });
+  await piped;
+
+  await env.PACKSYNCR_DB.batch([
+    env.PACKSYNCR_DB.prepare(`
+      UPDATE data_exports
+      SET status = 'ready', size_bytes = ?, completed_at = ?, expires_at = ?
+      WHERE export_id = ?
+    `).bind(length, now, now + EXPORT_RETENTION_SECONDS, export_id),
+    env.PACKSYNCR_DB.prepare(`
+      DELETE FROM data_export_entries
+      WHERE export_id = ?
+    `).bind(export_id)
+  ]);
+
+  await deleteStagedEntries(env, export_id);
+}
+
+/**
+ * Read the bytes of an entry from D1 or R2. Returns null if the source no longer exists.
+ */
+async function readEntrySource(env, uuid, entry) {
+  if (entry.source === "json") {
+    const data = await collectDataset(env, uuid, entry.source_key);
+    return new TextEncoder().encode(JSON.stringify(data, null, 2));
+  }
+
+  const bucket = entry.source === "manifest" ? env.MANIFEST_BUCKET : env.RESOURCE_BUCKET;
+  const obj = await bucket.get(entry.source_key);
+  if (!obj) {
+    return null;
+  }
+  return new Uint8Array(await obj.arrayBuffer());
+}
+
+/**
+ * Query one of the exported D1 datasets for the user.
+ */
+async function collectDataset(env, uuid, dataset) {
+  switch (dataset) {
+    case "account": {
+      const user = await env.PACKSYNCR_DB.prepare(`
+        SELECT *
+        FROM users
+        WHERE uuid = ?
+      `).bind(uuid).first();
+
+      if (user) {
+        delete user.token_version;
+      }
+      return user;
+    }
+
+    case "username_history": {
+      const { results } = await env.PACKSYNCR_DB.prepare(`
+        SELECT old_username, new_username, changed_at
+        FROM username_history
+        WHERE uuid = ?
+        ORDER BY changed_at ASC
+      `).bind(uuid).all();
+      return results;
+    }
+
+    case "sessions": {
+      const { results } = await env.PACKSYNCR_DB.prepare(`
+        SELECT session_id, device_label, user_agent, country, created_at, last_used_at, expires_at
+        FROM sessions
+        WHERE uuid = ?
+      `).bind(uuid).all();
+      return results;
+    }
+
+    case "auth_events": {
+      const { results } = await env.PACKSYNCR_DB.prepare(`
+        SELECT event, session_id, ip, user_agent, country, asn, as_organization, created_at
+        FROM auth_events
+        WHERE uuid = ?
+        ORDER BY created_at ASC
+      `).bind(uuid).all();
+      return results;
+    }
+
+    case "packs": {
+      const { results } = await env.PACKSYNCR_DB.prepare(`
+        SELECT *
+        FROM resource_packs
+        WHERE owner_uuid = ?
+      `).bind(uuid).all();
+      return results;
+    }
+
+    case "collaborations": {
+      const { results } = await env.PACKSYNCR_DB.prepare(`
+        SELECT pc.pack_uuid, rp.name AS pack_name, pc.role, pc.joined_at
+        FROM pack_collaborators pc
+        LEFT JOIN resource_packs rp ON pc.pack_uuid = rp.pack_uuid
+        WHERE pc.user_uuid = ?
+      `).bind(uuid).all();
+      return results;
+    }
+
+    case "invites": {
+      const { results: pack_invites } = await env.PACKSYNCR_DB.prepare(`
+        SELECT *
+        FROM pack_invite_codes
+        WHERE creator_uuid = ?
+      `).bind(uuid).all();
+
+      const { results: resource_invites } = await env.PACKSYNCR_DB.prepare(`
+        SELECT *
+        FROM resource_invite_codes
+        WHERE creator_uuid = ?
+      `).bind(uuid).all();
+
+      return { pack_invites, resource_invites };
+    }
+
+    case "resources": {
+      const { results: resources } = await env.PACKSYNCR_DB.prepare(`
+        SELECT *
+        FROM resources
+        WHERE owner_uuid = ?
+      `).bind(uuid).all();
+
+      const { results: files } = await env.PACKSYNCR_DB.prepare(`
+        SELECT rf.resource_uuid, rf.file_uuid, rf.file_directory, rf.file_name, rf.content_type, rf.size_bytes, rf.created_at, rf.updated_at
+        FROM resource_files rf
+        JOIN resources r ON rf.resource_uuid = r.resource_uuid
+        WHERE r.owner_uuid = ?
+      `).bind(uuid).all();
+
+      return resources.map(resource => ({
+        ...resource,
+        files: files.filter(file => file.resource_uuid === resource.resource_uuid)
+      }));
+    }
+
+    default:
+      throw new Error("unknown_dataset");
+  }
+}
+
+/**
+ * Get the user's most recent export.
+ */
+async function getLatestExport(env, uuid) {
+  return await env.PACKSYNCR_DB.prepare(`
+    SELECT export_id, status, entries_total, entries_done, size_bytes, created_at, completed_at, expires_at
+    FROM data_exports
+    WHERE uuid = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `).bind(uuid).first();
+}
+
+/**
+ * Delete the archive and any staged entries of an export from R2.
+ */
+async function deleteExportObjects(env, export_id) {
+  await deleteStagedEntries(env, export_id);
+  await env.EXPORT_BUCKET.delete(archiveKey(export_id));
+}
+
+async function deleteStagedEntries(env, export_id) {
+  let cursor;
+  do {
+    const listed = await env.EXPORT_BUCKET.list({ prefix: `exports/${export_id}/entries/`, cursor });
+    if (listed.objects.length) {
+      await env.EXPORT_BUCKET.delete(listed.objects.map(obj => obj.key));
+    }
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+}
+
+function stagedEntryKey(export_id, entry_index) {
+  return `exports/${export_id}/entries/${entry_index}`;
+}
+
+function archiveKey(export_id) {
+  return `exports/${export_id}.zip`;
+}
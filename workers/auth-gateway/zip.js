@@ -0,0 +1,200 @@
+/**
+ * Minimal streaming ZIP writer (stored entries, no compression).
+ * Entry sizes and CRC-32s must be known up front so the archive length can be given to R2.
+ * ZIP64 fields are only written when needed: entries of 4 GiB or more, offsets past 4 GiB, or 65,535 entries or more.
+ */
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE = 56;
+const ZIP64_END_LOCATOR_SIZE = 20;
+const ZIP64_END_SIZE = ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE + ZIP64_END_LOCATOR_SIZE;
+const ZIP64_EXTRA_HEADER_SIZE = 4;
+const ZIP_VERSION = 20;
+const ZIP64_VERSION = 45;
+const MAX_UINT16 = 0xFFFF;
+const MAX_UINT32 = 0xFFFFFFFF;
+const UTF8_NAMES_FLAG = 0x0800;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 of bytes.
+ */
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create a ZIP archive stream from entries ({ name, size_bytes, crc32 }).
+ * openEntry(entry) must return a ReadableStream of exactly size_bytes bytes.
+ * Returns the stream and its total length in bytes.
+ */
+export function createZipStream(entries, openEntry, date = new Date()) {
+  const encoder = new TextEncoder();
+  const names = entries.map(entry => encoder.encode(entry.name));
+  const { dosTime, dosDate } = toDosDateTime(date);
+
+  // Lay out the archive up front: entry offsets, which entries need ZIP64 fields, and the total length
+  const offsets = [];
+  const localExtraSizes = [];
+  const centralExtraSizes = [];
+  let offset = 0;
+  for (let i = 0; i < entries.length; i++) {
+    const largeSize = entries[i].size_bytes >= MAX_UINT32;
+    const largeOffset = offset >= MAX_UINT32;
+
+    offsets.push(offset);
+    localExtraSizes.push(largeSize ? ZIP64_EXTRA_HEADER_SIZE + 16 : 0);
+    centralExtraSizes.push(largeSize || largeOffset ? ZIP64_EXTRA_HEADER_SIZE + (largeSize ? 16 : 0) + (largeOffset ? 8 : 0) : 0);
+    offset += LOCAL_HEADER_SIZE + names[i].length + localExtraSizes[i] + entries[i].size_bytes;
+  }
+
+  const centralOffset = offset;
+  const centralSize = names.reduce((sum, name, i) => sum + CENTRAL_HEADER_SIZE + name.length + centralExtraSizes[i], 0);
+  const zip64 = entries.length >= MAX_UINT16 || centralOffset >= MAX_UINT32 || centralSize >= MAX_UINT32;
+  const length = centralOffset + centralSize + (zip64 ? ZIP64_END_SIZE : 0) + END_OF_CENTRAL_DIRECTORY_SIZE;
+
+  async function* chunks() {
+    // Local header followed by the entry data
+    for (let i = 0; i < entries.length; i++) {
+      const largeSize = localExtraSizes[i] > 0;
+      const header = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE + localExtraSizes[i]));
+      header.setUint32(0, 0x04034B50, true);
+      header.setUint16(4, largeSize ? ZIP64_VERSION : ZIP_VERSION, true);
+      header.setUint16(6, UTF8_NAMES_FLAG, true);
+      header.setUint16(8, 0, true);
+      header.setUint16(10, dosTime, true);
+      header.setUint16(12, dosDate, true);
+      header.setUint32(14, entries[i].crc32, true);
+      header.setUint32(18, largeSize ? MAX_UINT32 : entries[i].size_bytes, true);
+      header.setUint32(22, largeSize ? MAX_UINT32 : entries[i].size_bytes, true);
+      header.setUint16(26, names[i].length, true);
+      header.setUint16(28, localExtraSizes[i], true);
+      if (largeSize) {
+        writeZip64Extra(header, LOCAL_HEADER_SIZE, [entries[i].size_bytes, entries[i].size_bytes]);
+      }
+
+      yield new Uint8Array(header.buffer, 0, LOCAL_HEADER_SIZE);
+      yield names[i];
+      if (largeSize) {
+        yield new Uint8Array(header.buffer, LOCAL_HEADER_SIZE);
+      }
+
+      const reader = (await openEntry(entries[i])).getReader();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        yield value;
+      }
+    }
+
+    // Central directory (ZIP64 extra fields hold the sizes and offsets that do not fit in 32 bits)
+    for (let i = 0; i < entries.length; i++) {
+      const largeSize = entries[i].size_bytes >= MAX_UINT32;
+      const largeOffset = offsets[i] >= MAX_UINT32;
+      const version = centralExtraSizes[i] > 0 ? ZIP64_VERSION : ZIP_VERSION;
+
+      const header = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE + centralExtraSizes[i]));
+      header.setUint32(0, 0x02014B50, true);
+      header.setUint16(4, version, true);
+      header.setUint16(6, version, true);
+      header.setUint16(8, UTF8_NAMES_FLAG, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, dosTime, true);
+      header.setUint16(14, dosDate, true);
+      header.setUint32(16, entries[i].crc32, true);
+      header.setUint32(20, largeSize ? MAX_UINT32 : entries[i].size_bytes, true);
+      header.setUint32(24, largeSize ? MAX_UINT32 : entries[i].size_bytes, true);
+      header.setUint16(28, names[i].length, true);
+      header.setUint16(30, centralExtraSizes[i], true);
+      header.setUint32(42, largeOffset ? MAX_UINT32 : offsets[i], true);
+      if (centralExtraSizes[i] > 0) {
+        writeZip64Extra(header, CENTRAL_HEADER_SIZE, [
+          ...(largeSize ? [entries[i].size_bytes, entries[i].size_bytes] : []),
+          ...(largeOffset ? [offsets[i]] : [])
+        ]);
+      }
+
+      yield new Uint8Array(header.buffer, 0, CENTRAL_HEADER_SIZE);
+      yield names[i];
+      if (centralExtraSizes[i] > 0) {
+        yield new Uint8Array(header.buffer, CENTRAL_HEADER_SIZE);
+      }
+    }
+
+    // ZIP64 end of central directory record and locator, when the counts or offsets do not fit the classic record
+    if (zip64) {
+      const zip64End = new DataView(new ArrayBuffer(ZIP64_END_SIZE));
+      zip64End.setUint32(0, 0x06064B50, true);
+      zip64End.setBigUint64(4, BigInt(ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE - 12), true);
+      zip64End.setUint16(12, ZIP64_VERSION, true);
+      zip64End.setUint16(14, ZIP64_VERSION, true);
+      zip64End.setBigUint64(24, BigInt(entries.length), true);
+      zip64End.setBigUint64(32, BigInt(entries.length), true);
+      zip64End.setBigUint64(40, BigInt(centralSize), true);
+      zip64End.setBigUint64(48, BigInt(centralOffset), true);
+
+      zip64End.setUint32(56, 0x07064B50, true);
+      zip64End.setBigUint64(64, BigInt(centralOffset + centralSize), true);
+      zip64End.setUint32(72, 1, true);
+      yield new Uint8Array(zip64End.buffer);
+    }
+
+    // End of central directory
+    const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, Math.min(entries.length, MAX_UINT16), true);
+    end.setUint16(10, Math.min(entries.length, MAX_UINT16), true);
+    end.setUint32(12, Math.min(centralSize, MAX_UINT32), true);
+    end.setUint32(16, Math.min(centralOffset, MAX_UINT32), true);
+    yield new Uint8Array(end.buffer);
+  }
+
+  const iterator = chunks();
+  const stream = new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    }
+  });
+
+  return { stream, length };
+}
+
+/**
+ * Write a ZIP64 extended information extra field holding values (64-bit each) at offset.
+ */
+function writeZip64Extra(view, offset, values) {
+  view.setUint16(offset, 0x0001, true);
+  view.setUint16(offset + 2, values.length * 8, true);
+  values.forEach((value, i) => view.setBigUint64(offset + ZIP64_EXTRA_HEADER_SIZE + i * 8, BigInt(value), true));
+}
+
+/**
+ * Convert a date to the MS-DOS time and date fields used by ZIP headers.
+ */
+function toDosDateTime(date) {
+  return {
+    dosTime: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    dosDate: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
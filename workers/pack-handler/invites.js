@@ -1,848 +1,403 @@
+import { addResourceToManifest, removeResourceFromManifest } from "./packs.js";
+import { notSuspendedSql } from "./utilities/suspension.js";
+import { notBeingDeletedSql } from "./utilities/account-deletion.js";
+
 /**
- * pack-handler
- * 
- * Environment Variables:
- * - JWT_SECRET (string)
- * 
- * Endpoints:
- * - POST /create-pack (frontend)
- * - POST /update-pack (frontend)
- * - POST /get-pack (frontend)
- * - GET /get-my-packs (frontend)
- * - POST /delete-pack (frontend)
- * 
- * - POST /create-invite (frontend)
- * - POST /redeem-invite (frontend)
- * - POST /delete-invite (frontend)
- * 
- * - POST /add-resource (frontend)
- * - POST /remove-resource (frontend)
- * 
- * - POST /unfollow-pack (frontend)
+ * PACK ROLES:
+ * editor: can add and remove resources in the pack
+ * follower: can view the pack and sync its resources
  */
+const PACK_ROLES = ["editor", "follower"];
 
-import { getAccessTokenPayload } from "./utilities/jwt.js";
-import { createPack, updatePack, getPack, getMyPacks, deletePack } from "./packs.js"
-import { createPackInvite, redeemPackInvite, deleteInvite, addResourceToPack, removeResourceFromPack } from "./invites.js"
-import { unfollowPack } from "./users.js"
-
-const FRONTEND_ORIGIN = "https://www.packsyncr.com";
-const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": FRONTEND_ORIGIN,
-  "Access-Control-Allow-Credentials": "true",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization",
-  "Access-Control-Allow-Methods": "GET, POST, OPTIONS, DELETE",
-  "Content-Type": "application/json"
-};
-
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const path = url.pathname.replace(/\/$/, "");
-
-    // Handle preflight
-    if (request.method === "OPTIONS") {
-      return new Response(null, { status: 204, headers: CORS_HEADERS });
-    }
-
-    try {
-      // Request Handler
-      if (path === "/create-pack" && request.method === "POST") {
-        return await handleCreatePack(request, env);
-      }
-      if (path === "/update-pack" && request.method === "POST") {
-        return await handleUpdatePack(request, env);
-      }
-      if (path === "/get-pack" && request.method === "POST") {
-        return await handleGetPack(request, env);
-      }
-      if (path === "/get-my-packs" && request.method === "GET") {
-        return await handleGetMyPacks(request, env);
-      }
-      if (path === "/delete-pack" && request.method === "POST") {
-        return await handleDeletePack(request, env);
-      }
-      if (path === "/create-invite" && request.method === "POST") {
-        return await handleCreateInvite(request, env);
-      }
-      if (path === "/redeem-invite" && request.method === "POST") {
-        return await handleRedeemInvite(request, env);
-      }
-      if (path === "/delete-invite" && request.method === "POST") {
-        return await handleDeleteInvite(request, env);
-      }
-      if (path === "/add-resource" && request.method === "POST") {
-        return await handleAddResource(request, env);
-      }
-      if (path === "/remove-resource" && request.method === "POST") {
-        return await handleRemoveResource(request, env);
-      }
-      if (path === "/unfollow-pack" && request.method === "POST") {
-        return await handleUnfollowPack(request, env);
-      }
-      return new Response("Not found", {
-        status: 404,
-        headers: CORS_HEADERS
-      });
-    } catch (err) {
-      console.error("Unhandled error:", err);
-      return new Response(JSON.stringify({ error: "internal_error" }), {
-        status: 500,
-        headers: CORS_HEADERS
-      });
-    }
-  }
-}
+const MINIMUM_SET_DURATION = 300;
+const MINIMUM_SET_MAX_USES = 1;
 
 /**
- * /create-pack
- * Called by frontend to create a new resource pack.
- * Authorization: Bearer <access_token>
+ * Create an invite code for joining a pack with a role. Can set a duration (seconds) and max uses for a code.
  */
-async function handleCreatePack(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
-  // Retrieve uuid
-  const requester_uuid = payload.sub;
+export async function createPackInvite(env, pack_uuid, requester_uuid, role, duration, max_uses) {
+  const now = Math.floor(Date.now() / 1000);
 
-  // Retrieve body information
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  // Validate role
+  if (!PACK_ROLES.includes(role)) {
+    throw new Error("invalid_role");
   }
 
-  // Retrieve name (required) and description (optional)
-  const { name, description } = body;
-  if (!name || typeof name !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_name"}), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  // Validate duration if defined
+  let expiration = -1;
+  if (duration !== undefined) {
+    if (!Number.isInteger(duration) || duration < MINIMUM_SET_DURATION) {
+      throw new Error("invalid_duration");
+    }
+    expiration = now + duration;
   }
-  if (description !== undefined && typeof description !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_description" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+
+  // Validate uses if defined
+  let allowed_uses = -1;
+  if (max_uses !== undefined) {
+    if (!Number.isInteger(max_uses) || max_uses < MINIMUM_SET_MAX_USES) {
+      throw new Error("invalid_max_uses");
+    }
+    allowed_uses = max_uses;
   }
 
-  // Check if user can create a pack
-  const user = await env.PACKSYNCR_DB.prepare(`
-    SELECT * FROM users
-    WHERE uuid = ?
-  `).bind(requester_uuid).first();
+  // Retrieve pack to check if the requester is the owner
+  const pack = await env.PACKSYNCR_DB.prepare(`
+    SELECT owner_uuid
+    FROM resource_packs
+    WHERE pack_uuid = ?
+  `).bind(pack_uuid).first();
 
-  if (!user) {
-    return new Response(JSON.stringify({ error: "user_not_found" }), {
-      status: 404,
-      headers: CORS_HEADERS
-    });
+  if (!pack) {
+    throw new Error("pack_not_found");
   }
 
-  if (user.packs_created >= user.packs_limit) {
-    return new Response(JSON.stringify({ error: "pack_limit_reached" }), {
-      status: 403,
-      headers: CORS_HEADERS
-    });
+  if (pack.owner_uuid !== requester_uuid) {
+    throw new Error("forbidden_action");
   }
 
-  // Create resource pack
-  try {
-    await createPack(env, requester_uuid, name, description);
-  } catch (err) {
-    const status = 
-      err.message === "invalid_name_length" ? 400 :
-      err.message === "invalid_description_length" ? 400 :
-      500;
-
-      return new Response(JSON.stringify({ error: err.message }), {
-        status,
-        headers: CORS_HEADERS
-      });
-  }
-
-  // Pack has been created
-  return new Response(JSON.stringify({ success: true }), {
-    status: 201,
-    headers: CORS_HEADERS
-  });
-}
+  // Generate unique invite code
+  const invite_code = "p-" + crypto.randomUUID();
 
-/**
- * /update-pack
- * Called by frontend to update an existing resource pack.
- * Authorization: Bearer <access_token>
- */
-async function handleUpdatePack(request, env) {
-  // Extract access token payload
-  let payload;
+  // Insert invite code into database
   try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
+    await env.PACKSYNCR_DB.prepare(`
+      INSERT INTO pack_invite_codes (
+        invite_code,
+        pack_uuid,
+        creator_uuid,
+        role,
+        created_at,
+        expires_at,
+        max_uses,
+        uses
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(invite_code, pack_uuid, requester_uuid, role, now, expiration, allowed_uses, 0).run();
+  } catch {
+    throw new Error("db_insert_failed");
   }
 
-  // Retrieve uuid of updater
-  const requester_uuid = payload.sub;
-
-  // Retrieve body information
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
-  }
-
-  // Retrieve pack uuid, name and/or description
-  const { pack_uuid, name, description } = body;
-  if (!pack_uuid || typeof pack_uuid !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
-  }
-  if (name === undefined && description === undefined) {
-    return new Response(JSON.stringify({ error: "invalid_fields" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
-  }
-  if (name !== undefined && typeof name !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_name" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
-  }
-  if (description !== undefined && typeof description !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_description" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
-  }
-
-  // Update pack information and manifest
-  try {
-    await updatePack(env, {
-      pack_uuid,
-      owner_uuid: requester_uuid,
-      name,
-      description
-    })
-  } catch (err) {
-    const status = 
-      err.message === "invalid_fields" ? 400 :
-      err.messgae === "invalid_name_length" ? 400 :
-      err.message === "invalid_description_length" ? 400 :
-      err.message === "forbidden_action" ? 403 :
-      err.message === "manifest_not_updated" ? 500 :
-      500;
-
-      return new Response(JSON.stringify({ error: err.message }), {
-        status,
-        headers: CORS_HEADERS
-      });
-  }
-
-  // Pack has been updated
-  return new Response(JSON.stringify({ success: true }), {
-    status: 200,
-    headers: CORS_HEADERS
-  });
+  return invite_code;
 }
 
 /**
- * /get-pack
- * Called by frontend to retrieve an existing resource pack.
- * Authorization: Bearer <access_token>
+ * Redeem a pack invite code, adding the requester to the pack as a collaborator with the invite's role.
  */
-async function handleGetPack(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
+export async function redeemPackInvite(env, invite_code, requester_uuid) {
+  const now = Math.floor(Date.now() / 1000);
 
-  // Retrieve uuid of updater
-  const requester_uuid = payload.sub;
+  // Fetch invite
+  const invite = await env.PACKSYNCR_DB.prepare(`
+    SELECT pack_uuid, role, expires_at, max_uses, uses
+    FROM pack_invite_codes
+    WHERE invite_code = ?
+  `).bind(invite_code).first();
 
-  // Retrieve body information
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  if (!invite) {
+    throw new Error("invite_not_found");
   }
 
-  // Retrieve pack uuid
-  const { pack_uuid } = body;
-  if (!pack_uuid || typeof pack_uuid !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  // Check invite limits
+  if (invite.expires_at !== -1 && now > invite.expires_at) {
+    throw new Error("invite_expired");
   }
-
-  // Retrieve pack information
-  let result;
-  try {
-    result = await getPack(env, pack_uuid, requester_uuid);
-  } catch (err) {
-    const status =
-      err.message === "forbidden_action" ? 403 :
-      err.message === "pack_not_found" ? 404 :
-      500;
-
-    return new Response(JSON.stringify({ error: err.message }), {
-      status,
-      headers: CORS_HEADERS
-    });
-  }
-
-  // Pack has been found
-  return new Response(JSON.stringify(result), {
-    status: 200,
-    headers: CORS_HEADERS
-  });
-}
-
-/**
- * /get-my-packs
- * Called by frontend to retrieve a list of user's packs and followed packs.
- * Authorization: Bearer <access_token>
- */
-async function handleGetMyPacks(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
+  if (invite.max_uses !== -1 && invite.uses >= invite.max_uses) {
+    throw new Error("invite_used_up");
   }
 
-  // Retrieve uuid of updater
-  const requester_uuid = payload.sub;
+  // Check if the pack still exists (and its owner is not suspended) and the requester is not already a member
+  const pack = await env.PACKSYNCR_DB.prepare(`
+    SELECT owner_uuid
+    FROM resource_packs
+    WHERE pack_uuid = ? AND ${notSuspendedSql("resource_packs.owner_uuid")}
+  `).bind(invite.pack_uuid, now).first();
 
-  // Retrieve pack list
-  let packs;
-  try {
-    packs = await getMyPacks(env, requester_uuid);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-      status: 500,
-      headers: CORS_HEADERS
-    });
-  }
-
-  // Successfully retrieved pack list
-  return new Response(JSON.stringify({ packs }), {
-    status: 200,
-    headers: CORS_HEADERS
-  });
-}
+  if (!pack) {
+    throw new Error("pack_not_found");
+  }
 
-/**
- * /delete-pack
- * Called by frontend to delete an existing resource pack.
- * Authorization: Bearer <access_token>
- */
-async function handleDeletePack(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
+  if (await getPackRole(env, invite.pack_uuid, requester_uuid, pack.owner_uuid)) {
+    throw new Error("already_following_pack");
   }
 
-  // Retrieve uuid of deleter
-  const requester_uuid = payload.sub;
+  // Check if user can follow another pack
+  const user = await env.PACKSYNCR_DB.prepare(`
+    SELECT packs_followed, follow_limit
+    FROM users
+    WHERE uuid = ?
+  `).bind(requester_uuid).first();
 
-  // Retrieve body information
-  let body;
-  try {
-    body = await request.json();
+  if (!user) {
+    throw new Error("user_not_found");
+  }
+
+  if (user.packs_followed >= user.follow_limit) {
+    throw new Error("follow_limit_reached");
+  }
+
+  // Add requester as a collaborator, count the follow and the use in one batch. Each statement only applies while the
+  // invite has a use left, so concurrent redemptions cannot exceed max_uses (the use is counted last)
+  let added;
+  try {
+    [added] = await env.PACKSYNCR_DB.batch([
+      env.PACKSYNCR_DB.prepare(`
+        INSERT INTO pack_collaborators (pack_uuid, user_uuid, role, joined_at)
+        SELECT ?, ?, ?, ?
+        FROM pack_invite_codes
+        WHERE invite_code = ? AND (max_uses = -1 OR uses < max_uses)
+      `).bind(invite.pack_uuid, requester_uuid, invite.role, now, invite_code),
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE users
+        SET packs_followed = packs_followed + 1
+        WHERE uuid = ?
+          AND EXISTS (SELECT 1 FROM pack_invite_codes WHERE invite_code = ? AND (max_uses = -1 OR uses < max_uses))
+      `).bind(requester_uuid, invite_code),
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE pack_invite_codes
+        SET uses = uses + 1
+        WHERE invite_code = ? AND (max_uses = -1 OR uses < max_uses)
+      `).bind(invite_code)
+    ]);
   } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+    throw new Error("redeem_failed");
   }
 
-  // Retrieve pack uuid
-  const { pack_uuid } = body;
-  if (!pack_uuid || typeof pack_uuid !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  if (added.meta.changes === 0) {
+    throw new Error("invite_used_up");
   }
-
-  // Delete pack and manifest
-  try {
-    await deletePack(env, {
-      pack_uuid,
-      owner_uuid: requester_uuid
-    });
-  } catch (err) {
-    const status = 
-      err.message === "forbidden_action" ? 403 :
-      err.message === "manifest_not_deleted" ? 500 :
-      500;
-
-      return new Response(JSON.stringify({ error: err.message }), {
-        status,
-        headers: CORS_HEADERS
-      });
-  }
-
-  // Pack has been deleted
-  return new Response(JSON.stringify({ success: true }), {
-    status: 200,
-    headers: CORS_HEADERS
-  });
 }
 
 /**
- * /create-invite
- * Called by frontend to create an invite code for a pack.
- * Authorization: Bearer <access_token>
+ * Delete a pack invite code if requester is the invite creator or the pack owner.
  */
-async function handleCreateInvite(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
-  // Retrieve uuid of updater
-  const requester_uuid = payload.sub;
-
-  // Retrieve body information
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
-  }
+export async function deleteInvite(env, invite_code, requester_uuid) {
+  // Fetch invite
+  const invite = await env.PACKSYNCR_DB.prepare(`
+    SELECT pack_uuid, creator_uuid
+    FROM pack_invite_codes
+    WHERE invite_code = ?
+  `).bind(invite_code).first();
+
+  if (!invite) {
+    throw new Error("invite_not_found");
+  }
+
+  // Check if requester is able to delete the invite code
+  if (invite.creator_uuid !== requester_uuid) {
+    const pack = await env.PACKSYNCR_DB.prepare(`
+      SELECT owner_uuid
+      FROM resource_packs
+      WHERE pack_uuid = ?
+    `).bind(invite.pack_uuid).first();
+
+    if (!pack) {
+      throw new Error("pack_not_found");
+    }
 
-  // Retrieve pack uuid, role, expires_at, and max_uses
-  const { pack_uuid, role, duration, max_uses } = body;
-  if (!pack_uuid || typeof pack_uuid !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
-  }
-  if (!role || typeof role !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_role" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+    if (pack.owner_uuid !== requester_uuid) {
+      throw new Error("forbidden_action");
+    }
   }
 
-  // Create invite code
-  let invite_code;
-  try {
-    invite_code = await createPackInvite(env, pack_uuid, requester_uuid, role, duration, max_uses);
-  } catch (err) {
-    const status = 
-      err.message === "invalid_role" ? 400 :
-      err.message === "invalid_duration" ? 400 :
-      err.message === "invalid_max_uses" ? 400 :
-      err.message === "forbidden_action" ? 403 :
-      err.message === "pack_not_found" ? 404 :
-      err.message === "db_insert_failed" ? 500 :
-      500;
-
-      return new Response(JSON.stringify({ error: err.message }), {
-        status,
-        headers: CORS_HEADERS
-      });
-  }
-
-  // Invite has been created
-  return new Response(JSON.stringify({ invite_code }), {
-    status: 200,
-    headers: CORS_HEADERS
-  });
+  // Delete invite
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM pack_invite_codes
+    WHERE invite_code = ?
+  `).bind(invite_code).run();
 }
 
 /**
- * /redeem-invite
- * Called by frontend to redeem an invite code for a user to join a pack.
- * Authorization: Bearer <access_token>
+ * Redeem a resource invite code ("r-") to add the resource to a pack the requester can edit.
  */
-async function handleRedeemInvite(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
+export async function addResourceToPack(env, pack_uuid, requester_uuid, invite_code) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Check if requester exists
+  const user = await env.PACKSYNCR_DB.prepare(`
+    SELECT uuid
+    FROM users
+    WHERE uuid = ?
+  `).bind(requester_uuid).first();
+
+  if (!user) {
+    throw new Error("user_not_found");
   }
 
-  // Retrieve uuid of updater
-  const requester_uuid = payload.sub;
+  // Fetch pack
+  const pack = await env.PACKSYNCR_DB.prepare(`
+    SELECT owner_uuid, resources_used, resources_limit
+    FROM resource_packs
+    WHERE pack_uuid = ?
+  `).bind(pack_uuid).first();
 
-  // Retrieve body information
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  if (!pack) {
+    throw new Error("pack_not_found");
   }
 
-  // Retrieve invite_code
-  const { invite_code } = body;
-  if (!invite_code || typeof invite_code !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_invite_code" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  // Check if requester can edit the pack
+  const role = await getPackRole(env, pack_uuid, requester_uuid, pack.owner_uuid);
+  if (role !== "owner" && role !== "editor") {
+    throw new Error("unauthorized_action");
   }
 
-  // Redeem invite code
-  try {
-    await redeemPackInvite(env, invite_code, requester_uuid);
-  } catch (err) {
-    const status = 
-      err.message === "invite_expired" ? 400 :
-      err.message === "invite_used_up" ? 400 :
-      err.message === "follow_limit_reached" ? 403 :
-      err.message === "invite_not_found" ? 404 :
-      err.message === "user_not_found" ? 404 :
-      err.message === "redeem_failed" ? 500 :
-      err.message === "increment_follow_count_failed" ? 500 :
-      500;
-
-      return new Response(JSON.stringify({ error: err.message }), {
-        status,
-        headers: CORS_HEADERS
-      });
-  }
-
-  // Invite has been redeemed
-  return new Response(JSON.stringify({ success: true }), {
-    status: 200,
-    headers: CORS_HEADERS
-  });
-}
+  // Fetch resource invite
+  const invite = await env.PACKSYNCR_DB.prepare(`
+    SELECT resource_uuid, expires_at, max_uses, uses
+    FROM resource_invite_codes
+    WHERE invite_code = ?
+  `).bind(invite_code).first();
 
-/**
- * /delete-invite
- * Called by frontend to delete an invite code for a pack.
- * Authorization: Bearer <access_token>
- */
-async function handleDeleteInvite(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
+  if (!invite) {
+    throw new Error("invite_not_found");
   }
 
-  // Retrieve uuid of updater
-  const requester_uuid = payload.sub;
-
-  // Retrieve body information
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  // Check invite limits
+  if (invite.expires_at !== -1 && now > invite.expires_at) {
+    throw new Error("invite_expired");
   }
+  if (invite.max_uses !== -1 && invite.uses >= invite.max_uses) {
+    throw new Error("invite_used_up");
+  }
+
+  // Fetch resource for the manifest entry (resources of suspended owners cannot be added, nor resources of an account
+  // being deleted, as the packs step that unlinks them from other packs may already have run)
+  const resource = await env.PACKSYNCR_DB.prepare(`
+    SELECT resource_uuid, type, name, updated_at
+    FROM resources
+    WHERE resource_uuid = ? AND ${notSuspendedSql("resources.owner_uuid")} AND ${notBeingDeletedSql("resources.owner_uuid")}
+  `).bind(invite.resource_uuid, now, now).first();
 
-  // Retrieve invite_code
-  const { invite_code } = body;
-  if (!invite_code || typeof invite_code !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_invite_code" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  if (!resource) {
+    throw new Error("resource_not_found");
   }
 
-  // delete invite
-  try {
-    await deleteInvite(env, invite_code, requester_uuid);
-  } catch (err) {
-    const status = 
-      err.message === "forbidden_action" ? 403 :
-      err.message === "invite_not_found" ? 404 :
-      err.message === "pack_not_found" ? 404 :
-      500;
-
-      return new Response(JSON.stringify({ error: err.message }), {
-        status,
-        headers: CORS_HEADERS
-      });
-  }
-
-  // Invite has been deleted
-  return new Response(JSON.stringify({ success: true }), {
-    status: 200,
-    headers: CORS_HEADERS
-  });
-}
+  // Check if the resource is already in the pack
+  const existing = await env.PACKSYNCR_DB.prepare(`
+    SELECT resource_uuid
+    FROM pack_resources
+    WHERE pack_uuid = ? AND resource_uuid = ?
+  `).bind(pack_uuid, resource.resource_uuid).first();
 
-/**
- * /add-resource
- * Called by frontend to add resource to resource pack.
- * Authorization: Bearer <access_token>
- */
-async function handleAddResource(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
+  if (existing) {
+    throw new Error("resource_already_in_pack");
   }
 
-  // Retrieve uuid of updater
-  const requester_uuid = payload.sub;
+  // Check if the pack has room for another resource
+  if (pack.resources_used >= pack.resources_limit) {
+    throw new Error("resource_limit_reached");
+  }
 
-  // Retrieve body information
-  let body;
+  // Link resource to pack, count it and the use in one batch. Each statement only applies while the invite has a use
+  // left, so concurrent redemptions cannot exceed max_uses (the use is counted last)
+  let linked;
   try {
-    body = await request.json();
+    [linked] = await env.PACKSYNCR_DB.batch([
+      env.PACKSYNCR_DB.prepare(`
+        INSERT INTO pack_resources (pack_uuid, resource_uuid, added_by, added_at)
+        SELECT ?, ?, ?, ?
+        FROM resource_invite_codes
+        WHERE invite_code = ? AND (max_uses = -1 OR uses < max_uses)
+      `).bind(pack_uuid, resource.resource_uuid, requester_uuid, now, invite_code),
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE resource_packs
+        SET resources_used = resources_used + 1, updated_at = ?
+        WHERE pack_uuid = ?
+          AND EXISTS (SELECT 1 FROM resource_invite_codes WHERE invite_code = ? AND (max_uses = -1 OR uses < max_uses))
+      `).bind(now, pack_uuid, invite_code),
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE resource_invite_codes
+        SET uses = uses + 1
+        WHERE invite_code = ? AND (max_uses = -1 OR uses < max_uses)
+      `).bind(invite_code)
+    ]);
   } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+    throw new Error("redeem_failed");
   }
 
-  // Retrieve pack_uuid and invite_code
-  const { pack_uuid, invite_code } = body;
-  if (!pack_uuid || typeof pack_uuid !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
-  }
-  if (!invite_code || typeof invite_code !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_invite_code" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  if (linked.meta.changes === 0) {
+    throw new Error("invite_used_up");
   }
 
-  // Add resource to pack
+  // Update manifest in R2
   try {
-    await addResourceToPack(env, pack_uuid, requester_uuid, invite_code);
-  } catch (err) {
-    const status = 
-      err.message === "invite_expired" ? 400 :
-      err.message === "invite_used_up" ? 400 :
-      err.message === "resource_limit_reached" ? 403 :
-      err.message === "unauthorized_action" ? 403 :
-      err.message === "invite_not_found" ? 404 :
-      err.message === "user_not_found" ? 404 :
-      err.message === "pack_not_found" ? 404 :
-      err.message === "redeem_failed" ? 500 :
-      err.message === "increment_resource_count_failed" ? 500 :
-      err.message === "manifest_not_updated" ? 500 :
-      500;
-
-      return new Response(JSON.stringify({ error: err.message }), {
-        status,
-        headers: CORS_HEADERS
-      });
-  }
-
-  // Resource has been added
-  return new Response(JSON.stringify({ success: true }), {
-    status: 201,
-    headers: CORS_HEADERS
-  });
+    await addResourceToManifest(env, pack_uuid, resource);
+  } catch {
+    throw new Error("manifest_not_updated");
+  }
 }
 
 /**
- * /remove-resource
- * Called by frontend to remove resource from resource pack.
- * Authorization: Bearer <access_token>
+ * Remove a resource from a pack the requester can edit.
  */
-async function handleRemoveResource(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
+export async function removeResourceFromPack(env, pack_uuid, resource_uuid, requester_uuid) {
+  const now = Math.floor(Date.now() / 1000);
 
-  // Retrieve uuid of updater
-  const requester_uuid = payload.sub;
+  // Check if requester exists
+  const user = await env.PACKSYNCR_DB.prepare(`
+    SELECT uuid
+    FROM users
+    WHERE uuid = ?
+  `).bind(requester_uuid).first();
 
-  // Retrieve body information
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  if (!user) {
+    throw new Error("user_not_found");
   }
 
-  // Retrieve pack_uuid and resource_uuid
-  const { pack_uuid, resource_uuid } = body;
-  if (!pack_uuid || typeof pack_uuid !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+  // Fetch pack resource entry
+  const packResource = await env.PACKSYNCR_DB.prepare(`
+    SELECT pr.added_by, rp.owner_uuid
+    FROM pack_resources pr
+    JOIN resource_packs rp ON pr.pack_uuid = rp.pack_uuid
+    WHERE pr.pack_uuid = ? AND pr.resource_uuid = ?
+  `).bind(pack_uuid, resource_uuid).first();
+
+  if (!packResource) {
+    throw new Error("pack_resource_not_found");
   }
-  if (!resource_uuid || typeof resource_uuid !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_resource_uuid" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+
+  // Check if requester can edit the pack
+  const role = await getPackRole(env, pack_uuid, requester_uuid, packResource.owner_uuid);
+  if (role !== "owner" && role !== "editor") {
+    throw new Error("unauthorized_action");
   }
 
-  // Remove resource from pack
+  // Unlink resource from pack
   try {
-    await removeResourceFromPack(env, pack_uuid, resource_uuid, requester_uuid);
-  } catch (err) {
-    const status = 
-      err.message === "unauthorized_action" ? 403 :
-      err.message === "pack_resource_not_found" ? 404 :
-      err.message === "user_not_found" ? 404 :
-      err.message === "remove_failed" ? 500 :
-      err.message === "manifest_not_updated" ? 500 :
-      500;
-
-      return new Response(JSON.stringify({ error: err.message }), {
-        status,
-        headers: CORS_HEADERS
-      });
-  }
-
-  // Resource has been removed
-  return new Response(JSON.stringify({ success: true }), {
-    status: 200,
-    headers: CORS_HEADERS
-  });
-}
+    await env.PACKSYNCR_DB.prepare(`
+      DELETE FROM pack_resources
+      WHERE pack_uuid = ? AND resource_uuid = ?
+    `).bind(pack_uuid, resource_uuid).run();
 
-/**
- * /unfollow-pack
- * Called by frontend for a user to unfollow a pack they are a follower on.
- * Authorization: Bearer <access_token>
- */
-async function handleUnfollowPack(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
+    await env.PACKSYNCR_DB.prepare(`
+      UPDATE resource_packs
+      SET resources_used = resources_used - 1, updated_at = ?
+      WHERE pack_uuid = ? AND resources_used > 0
+    `).bind(now, pack_uuid).run();
+  } catch {
+    throw new Error("remove_failed");
   }
 
-  // Retrieve uuid of updater
-  const requester_uuid = payload.sub;
-
-  // Retrieve body information
-  let body;
+  // Update manifest in R2
   try {
-    body = await request.json();
+    await removeResourceFromManifest(env, pack_uuid, resource_uuid);
   } catch {
-    return new Response(JSON.stringify({ error: "invalid_json" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+    throw new Error("manifest_not_updated");
   }
+}
 
-  // Retrieve pack_uuid
-  const { pack_uuid } = body;
-  if (!pack_uuid || typeof pack_uuid !== "string") {
-    return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
-      status: 400,
-      headers: CORS_HEADERS
-    });
+/**
+ * Get the requester's role in a pack ("owner", a collaborator role, or null).
+ */
+async function getPackRole(env, pack_uuid, requester_uuid, owner_uuid) {
+  if (owner_uuid === requester_uuid) {
+    return "owner";
   }
 
-  try {
-    await unfollowPack(env, pack_uuid, requester_uuid);
-  } catch (err) {
-    const status = 
-      err.message === "not_following_pack" ? 400 :
-      err.message === "forbidden_action" ? 403 :
-      500;
-
-      return new Response(JSON.stringify({ error: err.message }), {
-        status,
-        headers: CORS_HEADERS
-      });
-  }
-
-  // Pack has been unfollowed
-  return new Response(JSON.stringify({ success: true }), {
-    status: 200,
-    headers: CORS_HEADERS
-  });
+  const collaborator = await env.PACKSYNCR_DB.prepare(`
+    SELECT role
+    FROM pack_collaborators
+    WHERE pack_uuid = ? AND user_uuid = ?
+  `).bind(pack_uuid, requester_uuid).first();
+
+  return collaborator ? collaborator.role : null;
 }
@@ -3,6 +3,11 @@
  * 
  * Environment Variables:
  * - JWT_SECRET (string)
+ * - JWT_KEYS (JSON string, see utilities/jwt.js)
+ * - JWT_PUBLIC_KEYS (JWKS JSON string, see utilities/jwt.js)
+ * - TOKEN_VERSION_CACHE_SECONDS (string)
+ * - RATE_LIMITS (JSON string, see utilities/rate-limit.js)
+ * - CORS_ALLOWED_ORIGINS (string, see utilities/cors.js)
  * 
  * Endpoints:
  * - POST /create-pack (frontend)
@@ -19,78 +24,116 @@
  * - POST /remove-resource (frontend)
  * 
  * - POST /unfollow-pack (frontend)
+ * 
+ * Scheduled (cron):
+ * - Account deletion packs step (see utilities/account-deletion.js)
  */
 
-import { getAccessTokenPayload } from "./utilities/jwt.js";
+import { getAccessTokenPayload, hasScope } from "./utilities/jwt.js";
+import { runAccountDeletionStep } from "./utilities/account-deletion.js";
+import { withCors, preflightResponse, findPreflightRoute } from "./utilities/cors.js";
+import { checkRateLimit, checkLockout, recordFailure, rateLimitedResponse, getClientIp } from "./utilities/rate-limit.js";
 import { createPack, updatePack, getPack, getMyPacks, deletePack } from "./packs.js"
 import { createPackInvite, redeemPackInvite, deleteInvite, addResourceToPack, removeResourceFromPack } from "./invites.js"
-import { unfollowPack } from "./users.js"
-
-const FRONTEND_ORIGIN = "https://www.packsyncr.com";
-const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": FRONTEND_ORIGIN,
-  "Access-Control-Allow-Credentials": "true",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization",
-  "Access-Control-Allow-Methods": "GET, POST, OPTIONS, DELETE",
+import { unfollowPack, purgeUserPacks } from "./users.js"
+
+const JSON_HEADERS = {
   "Content-Type": "application/json"
 };
 
+// Invite redemption errors counted towards the invite-failures lockout (guessing invite codes)
+// Only codes that do not exist count, not expired or used up codes or invites to unavailable packs and resources
+const INVITE_FAILURE_ERRORS = ["invite_not_found"];
+
+/**
+ * Routes and the access token scope each one requires.
+ */
+const ROUTES = {
+  "POST /create-pack": { handler: handleCreatePack, scope: "packs:write" },
+  "POST /update-pack": { handler: handleUpdatePack, scope: "packs:write" },
+  "POST /get-pack": { handler: handleGetPack, scope: "packs:read" },
+  "GET /get-my-packs": { handler: handleGetMyPacks, scope: "packs:read" },
+  "POST /delete-pack": { handler: handleDeletePack, scope: "packs:write" },
+  "POST /create-invite": { handler: handleCreateInvite, scope: "packs:write" },
+  "POST /redeem-invite": { handler: handleRedeemInvite, scope: "packs:write" },
+  "POST /delete-invite": { handler: handleDeleteInvite, scope: "packs:write" },
+  "POST /add-resource": { handler: handleAddResource, scope: "packs:write" },
+  "POST /remove-resource": { handler: handleRemoveResource, scope: "packs:write" },
+  "POST /unfollow-pack": { handler: handleUnfollowPack, scope: "packs:write" }
+};
+
+export { RateLimiter } from "./utilities/rate-limit.js";
+
 export default {
   async fetch(request, env) {
-    const url = new URL(request.url);
-    const path = url.pathname.replace(/\/$/, "");
+    return withCors(await routeRequest(request, env), request, env);
+  },
 
-    // Handle preflight
-    if (request.method === "OPTIONS") {
-      return new Response(null, { status: 204, headers: CORS_HEADERS });
-    }
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runAccountDeletionStep(env, "packs", purgeUserPacks));
+  }
+}
 
-    try {
-      // Request Handler
-      if (path === "/create-pack" && request.method === "POST") {
-        return await handleCreatePack(request, env);
-      }
-      if (path === "/update-pack" && request.method === "POST") {
-        return await handleUpdatePack(request, env);
-      }
-      if (path === "/get-pack" && request.method === "POST") {
-        return await handleGetPack(request, env);
-      }
-      if (path === "/get-my-packs" && request.method === "GET") {
-        return await handleGetMyPacks(request, env);
-      }
-      if (path === "/delete-pack" && request.method === "POST") {
-        return await handleDeletePack(request, env);
-      }
-      if (path === "/create-invite" && request.method === "POST") {
-        return await handleCreateInvite(request, env);
-      }
-      if (path === "/redeem-invite" && request.method === "POST") {
-        return await handleRedeemInvite(request, env);
-      }
-      if (path === "/delete-invite" && request.method === "POST") {
-        return await handleDeleteInvite(request, env);
-      }
-      if (path === "/add-resource" && request.method === "POST") {
-        return await handleAddResource(request, env);
-      }
-      if (path === "/remove-resource" && request.method === "POST") {
-        return await handleRemoveResource(request, env);
-      }
-      if (path === "/unfollow-pack" && request.method === "POST") {
-        return await handleUnfollowPack(request, env);
-      }
+/**
+ * Route a request to its handler (CORS headers are added by fetch).
+ */
+async function routeRequest(request, env) {
+  const url = new URL(request.url);
+  const path = url.pathname.replace(/\/$/, "");
+
+  // Handle preflight
+  if (request.method === "OPTIONS") {
+    return preflightResponse(request, env, findPreflightRoute(ROUTES, path, ["Content-Type", "Authorization"]));
+  }
+
+  try {
+    // Request Handler
+    const route = ROUTES[`${request.method} ${path}`];
+    if (!route) {
       return new Response("Not found", {
         status: 404,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
+    }
+
+    // Rate limit the route by client IP before spending any work on the access token
+    const ipRetryAfter = await checkRateLimit(env, path, [getClientIp(request)]);
+    if (ipRetryAfter !== null) {
+      return rateLimitedResponse(ipRetryAfter, JSON_HEADERS);
+    }
+
+    // Extract access token payload
+    let payload;
+    try {
+      payload = await getAccessTokenPayload(request, env);
     } catch (err) {
-      console.error("Unhandled error:", err);
-      return new Response(JSON.stringify({ error: "internal_error" }), {
-        status: 500,
-        headers: CORS_HEADERS
+      return new Response(JSON.stringify({ error: err.message }), {
+        status: err.message === "account_suspended" ? 403 : 401,
+        headers: JSON_HEADERS
+      });
+    }
+
+    // Check the access token grants the route's scope
+    if (!hasScope(payload, route.scope)) {
+      return new Response(JSON.stringify({ error: "insufficient_scope", required_scope: route.scope }), {
+        status: 403,
+        headers: JSON_HEADERS
       });
     }
+
+    // Rate limit the route by uuid
+    const retryAfter = await checkRateLimit(env, path, [`uuid:${payload.sub}`]);
+    if (retryAfter !== null) {
+      return rateLimitedResponse(retryAfter, JSON_HEADERS);
+    }
+
+    return await route.handler(request, env, payload);
+  } catch (err) {
+    console.error("Unhandled error:", err);
+    return new Response(JSON.stringify({ error: "internal_error" }), {
+      status: 500,
+      headers: JSON_HEADERS
+    });
   }
 }
 
@@ -99,18 +142,7 @@ export default {
  * Called by frontend to create a new resource pack.
  * Authorization: Bearer <access_token>
  */
-async function handleCreatePack(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleCreatePack(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -121,7 +153,7 @@ async function handleCreatePack(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -130,13 +162,13 @@ async function handleCreatePack(request, env) {
   if (!name || typeof name !== "string") {
     return new Response(JSON.stringify({ error: "invalid_name"}), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (description !== undefined && typeof description !== "string") {
     return new Response(JSON.stringify({ error: "invalid_description" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -149,14 +181,14 @@ async function handleCreatePack(request, env) {
   if (!user) {
     return new Response(JSON.stringify({ error: "user_not_found" }), {
       status: 404,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
   if (user.packs_created >= user.packs_limit) {
     return new Response(JSON.stringify({ error: "pack_limit_reached" }), {
       status: 403,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -171,14 +203,14 @@ async function handleCreatePack(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Pack has been created
   return new Response(JSON.stringify({ success: true }), {
     status: 201,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -187,18 +219,7 @@ async function handleCreatePack(request, env) {
  * Called by frontend to update an existing resource pack.
  * Authorization: Bearer <access_token>
  */
-async function handleUpdatePack(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleUpdatePack(request, env, payload) {
   // Retrieve uuid of updater
   const requester_uuid = payload.sub;
 
@@ -209,7 +230,7 @@ async function handleUpdatePack(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -218,25 +239,25 @@ async function handleUpdatePack(request, env) {
   if (!pack_uuid || typeof pack_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (name === undefined && description === undefined) {
     return new Response(JSON.stringify({ error: "invalid_fields" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (name !== undefined && typeof name !== "string") {
     return new Response(JSON.stringify({ error: "invalid_name" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (description !== undefined && typeof description !== "string") {
     return new Response(JSON.stringify({ error: "invalid_description" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -259,14 +280,14 @@ async function handleUpdatePack(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Pack has been updated
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -275,18 +296,7 @@ async function handleUpdatePack(request, env) {
  * Called by frontend to retrieve an existing resource pack.
  * Authorization: Bearer <access_token>
  */
-async function handleGetPack(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleGetPack(request, env, payload) {
   // Retrieve uuid of updater
   const requester_uuid = payload.sub;
 
@@ -297,7 +307,7 @@ async function handleGetPack(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -306,7 +316,7 @@ async function handleGetPack(request, env) {
   if (!pack_uuid || typeof pack_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -322,14 +332,14 @@ async function handleGetPack(request, env) {
 
     return new Response(JSON.stringify({ error: err.message }), {
       status,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
   // Pack has been found
   return new Response(JSON.stringify(result), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -338,18 +348,7 @@ async function handleGetPack(request, env) {
  * Called by frontend to retrieve a list of user's packs and followed packs.
  * Authorization: Bearer <access_token>
  */
-async function handleGetMyPacks(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleGetMyPacks(request, env, payload) {
   // Retrieve uuid of updater
   const requester_uuid = payload.sub;
 
@@ -360,14 +359,14 @@ async function handleGetMyPacks(request, env) {
   } catch (err) {
     return new Response(JSON.stringify({ error: err.message }), {
       status: 500,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
   // Successfully retrieved pack list
   return new Response(JSON.stringify({ packs }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -376,18 +375,7 @@ async function handleGetMyPacks(request, env) {
  * Called by frontend to delete an existing resource pack.
  * Authorization: Bearer <access_token>
  */
-async function handleDeletePack(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleDeletePack(request, env, payload) {
   // Retrieve uuid of deleter
   const requester_uuid = payload.sub;
 
@@ -398,7 +386,7 @@ async function handleDeletePack(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -407,7 +395,7 @@ async function handleDeletePack(request, env) {
   if (!pack_uuid || typeof pack_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -425,14 +413,14 @@ async function handleDeletePack(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Pack has been deleted
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -441,18 +429,7 @@ async function handleDeletePack(request, env) {
  * Called by frontend to create an invite code for a pack.
  * Authorization: Bearer <access_token>
  */
-async function handleCreateInvite(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleCreateInvite(request, env, payload) {
   // Retrieve uuid of updater
   const requester_uuid = payload.sub;
 
@@ -463,7 +440,7 @@ async function handleCreateInvite(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -472,13 +449,13 @@ async function handleCreateInvite(request, env) {
   if (!pack_uuid || typeof pack_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (!role || typeof role !== "string") {
     return new Response(JSON.stringify({ error: "invalid_role" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -498,14 +475,14 @@ async function handleCreateInvite(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Invite has been created
   return new Response(JSON.stringify({ invite_code }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -514,18 +491,7 @@ async function handleCreateInvite(request, env) {
  * Called by frontend to redeem an invite code for a user to join a pack.
  * Authorization: Bearer <access_token>
  */
-async function handleRedeemInvite(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleRedeemInvite(request, env, payload) {
   // Retrieve uuid of updater
   const requester_uuid = payload.sub;
 
@@ -536,7 +502,7 @@ async function handleRedeemInvite(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -545,34 +511,45 @@ async function handleRedeemInvite(request, env) {
   if (!invite_code || typeof invite_code !== "string") {
     return new Response(JSON.stringify({ error: "invalid_invite_code" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
+  // Check if the requester is locked out after repeated failed redemptions
+  const lockedFor = await checkLockout(env, "invite-failures", `uuid:${requester_uuid}`);
+  if (lockedFor !== null) {
+    return rateLimitedResponse(lockedFor, JSON_HEADERS);
+  }
+
   // Redeem invite code
   try {
     await redeemPackInvite(env, invite_code, requester_uuid);
   } catch (err) {
+    if (INVITE_FAILURE_ERRORS.includes(err.message)) {
+      await recordFailure(env, "invite-failures", `uuid:${requester_uuid}`);
+    }
+
     const status = 
       err.message === "invite_expired" ? 400 :
       err.message === "invite_used_up" ? 400 :
+      err.message === "already_following_pack" ? 400 :
       err.message === "follow_limit_reached" ? 403 :
       err.message === "invite_not_found" ? 404 :
       err.message === "user_not_found" ? 404 :
+      err.message === "pack_not_found" ? 404 :
       err.message === "redeem_failed" ? 500 :
-      err.message === "increment_follow_count_failed" ? 500 :
       500;
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Invite has been redeemed
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -581,18 +558,7 @@ async function handleRedeemInvite(request, env) {
  * Called by frontend to delete an invite code for a pack.
  * Authorization: Bearer <access_token>
  */
-async function handleDeleteInvite(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleDeleteInvite(request, env, payload) {
   // Retrieve uuid of updater
   const requester_uuid = payload.sub;
 
@@ -603,7 +569,7 @@ async function handleDeleteInvite(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -612,7 +578,7 @@ async function handleDeleteInvite(request, env) {
   if (!invite_code || typeof invite_code !== "string") {
     return new Response(JSON.stringify({ error: "invalid_invite_code" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -628,14 +594,14 @@ async function handleDeleteInvite(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Invite has been deleted
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -644,18 +610,7 @@ async function handleDeleteInvite(request, env) {
  * Called by frontend to add resource to resource pack.
  * Authorization: Bearer <access_token>
  */
-async function handleAddResource(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleAddResource(request, env, payload) {
   // Retrieve uuid of updater
   const requester_uuid = payload.sub;
 
@@ -666,7 +621,7 @@ async function handleAddResource(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -675,43 +630,54 @@ async function handleAddResource(request, env) {
   if (!pack_uuid || typeof pack_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (!invite_code || typeof invite_code !== "string") {
     return new Response(JSON.stringify({ error: "invalid_invite_code" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
+  // Check if the requester is locked out after repeated failed redemptions
+  const lockedFor = await checkLockout(env, "invite-failures", `uuid:${requester_uuid}`);
+  if (lockedFor !== null) {
+    return rateLimitedResponse(lockedFor, JSON_HEADERS);
+  }
+
   // Add resource to pack
   try {
     await addResourceToPack(env, pack_uuid, requester_uuid, invite_code);
   } catch (err) {
+    if (INVITE_FAILURE_ERRORS.includes(err.message)) {
+      await recordFailure(env, "invite-failures", `uuid:${requester_uuid}`);
+    }
+
     const status = 
       err.message === "invite_expired" ? 400 :
       err.message === "invite_used_up" ? 400 :
+      err.message === "resource_already_in_pack" ? 400 :
       err.message === "resource_limit_reached" ? 403 :
       err.message === "unauthorized_action" ? 403 :
       err.message === "invite_not_found" ? 404 :
       err.message === "user_not_found" ? 404 :
       err.message === "pack_not_found" ? 404 :
+      err.message === "resource_not_found" ? 404 :
       err.message === "redeem_failed" ? 500 :
-      err.message === "increment_resource_count_failed" ? 500 :
       err.message === "manifest_not_updated" ? 500 :
       500;
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Resource has been added
   return new Response(JSON.stringify({ success: true }), {
     status: 201,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -720,18 +686,7 @@ async function handleAddResource(request, env) {
  * Called by frontend to remove resource from resource pack.
  * Authorization: Bearer <access_token>
  */
-async function handleRemoveResource(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleRemoveResource(request, env, payload) {
   // Retrieve uuid of updater
   const requester_uuid = payload.sub;
 
@@ -742,7 +697,7 @@ async function handleRemoveResource(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -751,13 +706,13 @@ async function handleRemoveResource(request, env) {
   if (!pack_uuid || typeof pack_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (!resource_uuid || typeof resource_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_resource_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -775,14 +730,14 @@ async function handleRemoveResource(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Resource has been removed
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -791,18 +746,7 @@ async function handleRemoveResource(request, env) {
  * Called by frontend for a user to unfollow a pack they are a follower on.
  * Authorization: Bearer <access_token>
  */
-async function handleUnfollowPack(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleUnfollowPack(request, env, payload) {
   // Retrieve uuid of updater
   const requester_uuid = payload.sub;
 
@@ -813,7 +757,7 @@ async function handleUnfollowPack(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -822,7 +766,7 @@ async function handleUnfollowPack(request, env) {
   if (!pack_uuid || typeof pack_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_pack_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -836,13 +780,13 @@ async function handleUnfollowPack(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Pack has been unfollowed
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
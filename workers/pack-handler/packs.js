@@ -1,3 +1,5 @@
+import { isSuspended, notSuspendedSql } from "./utilities/suspension.js";
+
 // Pack Manifest Location
 const MANIFEST_LOCATION_PREFIX = "packs/";
 const MANIFEST_LOCATION_POSTFIX = "-manifest.json";
@@ -189,19 +191,28 @@ async function updatePackManifest(env, pack_uuid, updates) {
 
 /**
  * Get a resource pack.
+ * Packs and resources of suspended users are hidden from everyone else while the suspension lasts.
  */
 export async function getPack(env, pack_uuid, requester_uuid) {
+  const now = Math.floor(Date.now() / 1000);
+
   const pack = await env.PACKSYNCR_DB.prepare(`
-    SELECT * FROM resource_packs
-    WHERE pack_uuid = ?
+    SELECT rp.*, u.suspended_at, u.suspension_expires_at
+    FROM resource_packs rp
+    LEFT JOIN users u ON rp.owner_uuid = u.uuid
+    WHERE rp.pack_uuid = ?
   `).bind(pack_uuid).first();
 
   if (!pack) throw new Error("pack_not_found");
 
+  const { suspended_at, suspension_expires_at, ...packInfo } = pack;
+
   let user_role;
   if (pack.owner_uuid === requester_uuid) {
     user_role = "owner"
   } else {
+    if (isSuspended({ suspended_at, suspension_expires_at }, now)) throw new Error("pack_not_found");
+
     const collaborator = await env.PACKSYNCR_DB.prepare(`
       SELECT role FROM pack_collaborators
       WHERE pack_uuid = ? AND user_uuid = ?
@@ -215,16 +226,18 @@ export async function getPack(env, pack_uuid, requester_uuid) {
     SELECT r.resource_uuid, r.type, r.name, r.description, r.owner_uuid, pr.added_by, pr.added_at
     FROM pack_resources pr
     JOIN resources r ON pr.resource_uuid = r.resource_uuid
-    WHERE pr.pack_uuid = ?
-  `).bind(pack_uuid).all();
+    WHERE pr.pack_uuid = ? AND (r.owner_uuid = ? OR ${notSuspendedSql("r.owner_uuid")})
+  `).bind(pack_uuid, requester_uuid, now).all();
 
-  return { pack: { ...pack, user_role }, resources };
+  return { pack: { ...packInfo, user_role }, resources };
 }
 
 /**
- * Get list of resource packs that user owns or follows.
+ * Get list of resource packs that user owns or follows (followed packs of suspended owners are left out).
  */
 export async function getMyPacks(env, requester_uuid) {
+  const now = Math.floor(Date.now() / 1000);
+
   const { results } = await env.PACKSYNCR_DB.prepare(`
     SELECT rp.pack_uuid, rp.name, rp.description, rp.owner_uuid, rp.created_at, rp.updated_at, rp.resources_used, rp.resources_limit, 'owner' AS user_role
     FROM resource_packs rp
@@ -233,8 +246,8 @@ export async function getMyPacks(env, requester_uuid) {
     SELECT rp.pack_uuid, rp.name, rp.description, rp.owner_uuid, rp.created_at, rp.updated_at, rp.resources_used, rp.resources_limit, pc.role AS user_role
     FROM resource_packs rp
     JOIN pack_collaborators pc ON rp.pack_uuid = pc.pack_uuid
-    WHERE pc.user_uuid = ?
-  `).bind(requester_uuid, requester_uuid).all();
+    WHERE pc.user_uuid = ? AND ${notSuspendedSql("rp.owner_uuid")}
+  `).bind(requester_uuid, requester_uuid, now).all();
 
   return results;
 }
@@ -271,6 +284,14 @@ export async function deletePack(env, packInfo) {
   }
 }
 
+/**
+ * Delete a pack manifest from R2 (no-op if it was already deleted).
+ */
+export async function deletePackManifest(env, pack_uuid) {
+  const key = `${MANIFEST_LOCATION_PREFIX}${pack_uuid}${MANIFEST_LOCATION_POSTFIX}`;
+  await env.MANIFEST_BUCKET.delete(key);
+}
+
 /**
  * Add a resource entry to the pack manifest.
  */
@@ -1,3 +1,5 @@
+import { deletePackManifest, removeResourceFromManifest } from "./packs.js";
+
 /** 
  * Removes a pack from a user's follow list.
  */ 
@@ -26,3 +28,89 @@ export async function unfollowPack(env, pack_uuid, requester_uuid) {
     WHERE uuid = ? AND packs_followed > 0
   `).bind(requester_uuid).run();
 }
+
+/**
+ * Account deletion step: remove everything pack-handler owns for a user.
+ * Safe to run again after a partial failure; R2 is cleaned up before the D1 rows that point to it.
+ */
+export async function purgeUserPacks(env, uuid) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Step 1: Remove the user's resources from packs owned by other users
+  const { results: linked } = await env.PACKSYNCR_DB.prepare(`
+    SELECT pr.pack_uuid, pr.resource_uuid
+    FROM pack_resources pr
+    JOIN resources r ON pr.resource_uuid = r.resource_uuid
+    JOIN resource_packs rp ON pr.pack_uuid = rp.pack_uuid
+    WHERE r.owner_uuid = ? AND rp.owner_uuid != ?
+  `).bind(uuid, uuid).all();
+
+  for (const { pack_uuid, resource_uuid } of linked) {
+    try {
+      await removeResourceFromManifest(env, pack_uuid, resource_uuid);
+    } catch (err) {
+      if (err.message !== "manifest_not_found") throw err;
+    }
+
+    await env.PACKSYNCR_DB.batch([
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE resource_packs
+        SET resources_used = resources_used - 1, updated_at = ?
+        WHERE pack_uuid = ? AND resources_used > 0
+          AND EXISTS (SELECT 1 FROM pack_resources WHERE pack_uuid = ? AND resource_uuid = ?)
+      `).bind(now, pack_uuid, pack_uuid, resource_uuid),
+      env.PACKSYNCR_DB.prepare(`
+        DELETE FROM pack_resources
+        WHERE pack_uuid = ? AND resource_uuid = ?
+      `).bind(pack_uuid, resource_uuid)
+    ]);
+  }
+
+  // Step 2: Leave every pack the user follows and delete the invites they created
+  await env.PACKSYNCR_DB.batch([
+    env.PACKSYNCR_DB.prepare(`
+      DELETE FROM pack_collaborators
+      WHERE user_uuid = ?
+    `).bind(uuid),
+    env.PACKSYNCR_DB.prepare(`
+      DELETE FROM pack_invite_codes
+      WHERE creator_uuid = ?
+    `).bind(uuid)
+  ]);
+
+  // Step 3: Delete every owned pack with its manifest, followers, invites and resource links
+  const { results: packs } = await env.PACKSYNCR_DB.prepare(`
+    SELECT pack_uuid
+    FROM resource_packs
+    WHERE owner_uuid = ?
+  `).bind(uuid).all();
+
+  for (const { pack_uuid } of packs) {
+    await deletePackManifest(env, pack_uuid);
+
+    await env.PACKSYNCR_DB.batch([
+      env.PACKSYNCR_DB.prepare(`
+        UPDATE users
+        SET packs_followed = packs_followed - 1
+        WHERE packs_followed > 0
+          AND uuid IN (SELECT user_uuid FROM pack_collaborators WHERE pack_uuid = ?)
+      `).bind(pack_uuid),
+      env.PACKSYNCR_DB.prepare(`
+        DELETE FROM pack_collaborators
+        WHERE pack_uuid = ?
+      `).bind(pack_uuid),
+      env.PACKSYNCR_DB.prepare(`
+        DELETE FROM pack_invite_codes
+        WHERE pack_uuid = ?
+      `).bind(pack_uuid),
+      env.PACKSYNCR_DB.prepare(`
+        DELETE FROM pack_resources
+        WHERE pack_uuid = ?
+      `).bind(pack_uuid),
+      env.PACKSYNCR_DB.prepare(`
+        DELETE FROM resource_packs
+        WHERE pack_uuid = ? AND owner_uuid = ?
+      `).bind(pack_uuid, uuid)
+    ]);
+  }
+}
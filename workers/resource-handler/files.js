@@ -277,10 +277,11 @@ async function uploadFileToR2(env, requester_uuid, file_bytes, resource_uuid, fi
         file_name,
         r2_key,
         content_type,
+        size_bytes,
         uploaded_by,
         created_at,
         updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       resource_uuid,
       file_uuid,
@@ -288,6 +289,7 @@ async function uploadFileToR2(env, requester_uuid, file_bytes, resource_uuid, fi
       file_name,
       r2Key,
       content_type,
+      file_bytes.length,
       requester_uuid,
       now,
       now // updated_at same as creation time
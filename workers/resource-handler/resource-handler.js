@@ -3,6 +3,11 @@
  * 
  * Environment Variables:
  * - JWT_SECRET (string)
+ * - JWT_KEYS (JSON string, see utilities/jwt.js)
+ * - JWT_PUBLIC_KEYS (JWKS JSON string, see utilities/jwt.js)
+ * - TOKEN_VERSION_CACHE_SECONDS (string)
+ * - RATE_LIMITS (JSON string, see utilities/rate-limit.js)
+ * - CORS_ALLOWED_ORIGINS (string, see utilities/cors.js)
  * 
  * Endpoints:
  * - POST /create-resource (frontend)
@@ -16,72 +21,110 @@
  * 
  * - POST /upload-file (frontend)
  * - POST /delete-file (frontend)
+ * 
+ * Scheduled (cron):
+ * - Account deletion resources step (see utilities/account-deletion.js)
  */
 
-import { getAccessTokenPayload } from "./utilities/jwt.js";
-import { createResource, updateResource, getResource, getMyResources, deleteResource } from "./resources.js";
+import { getAccessTokenPayload, hasScope } from "./utilities/jwt.js";
+import { runAccountDeletionStep } from "./utilities/account-deletion.js";
+import { withCors, preflightResponse, findPreflightRoute } from "./utilities/cors.js";
+import { checkRateLimit, rateLimitedResponse, getClientIp } from "./utilities/rate-limit.js";
+import { createResource, updateResource, getResource, getMyResources, deleteResource, purgeUserResources } from "./resources.js";
 import { createInvite, deleteInvite } from "./invites.js";
 import { uploadFile, deleteFile } from "./files.js";
 
-const FRONTEND_ORIGIN = "https://www.packsyncr.com";
-const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": FRONTEND_ORIGIN,
-  "Access-Control-Allow-Credentials": "true",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization",
-  "Access-Control-Allow-Methods": "GET, POST, OPTIONS, DELETE",
+const JSON_HEADERS = {
   "Content-Type": "application/json"
 };
 
+/**
+ * Routes and the access token scope each one requires.
+ */
+const ROUTES = {
+  "POST /create-resource": { handler: handleCreateResource, scope: "resources:write" },
+  "POST /update-resource": { handler: handleUpdateResource, scope: "resources:write" },
+  "POST /get-resource": { handler: handleGetResource, scope: "resources:read" },
+  "GET /get-my-resources": { handler: handleGetMyResources, scope: "resources:read" },
+  "POST /delete-resource": { handler: handleDeleteResource, scope: "resources:write" },
+  "POST /create-invite": { handler: handleCreateInvite, scope: "resources:write" },
+  "POST /delete-invite": { handler: handleDeleteInvite, scope: "resources:write" },
+  "POST /upload-file": { handler: handleUploadFile, scope: "files:write" },
+  "POST /delete-file": { handler: handleDeleteFile, scope: "files:write" }
+};
+
+export { RateLimiter } from "./utilities/rate-limit.js";
+
 export default {
   async fetch(request, env) {
-    const url = new URL(request.url);
-    const path = url.pathname.replace(/\/$/, "");
+    return withCors(await routeRequest(request, env), request, env);
+  },
 
-    // Handle preflight
-    if (request.method === "OPTIONS") {
-      return new Response(null, { status: 204, headers: CORS_HEADERS });
-    }
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runAccountDeletionStep(env, "resources", purgeUserResources));
+  }
+}
 
-    try {
-      // Request Handler
-      if (path === "/create-resource" && request.method === "POST") {
-        return await handleCreateResource(request, env);
-      }
-      if (path === "/update-resource" && request.method === "POST") {
-        return await handleUpdateResource(request, env);
-      }
-      if (path === "/get-resource" && request.method === "POST") {
-        return await handleGetResource(request, env);
-      }
-      if (path === "/get-my-resources" && request.method === "GET") {
-        return await handleGetMyResources(request, env);
-      }
-      if (path === "/delete-resource" && request.method === "POST") {
-        return await handleDeleteResource(request, env);
-      }
-      if (path === "/create-invite" && request.method === "POST") {
-        return await handleCreateInvite(request, env);
-      }
-      if (path === "/delete-invite" && request.method === "POST") {
-        return await handleDeleteInvite(request, env);
-      }
-      if (path === "/upload-file" && request.method === "POST") {
-        return await handleUploadFile(request, env);
-      }
-      if (path === "/delete-file" && request.method === "POST") {
-        return await handleDeleteFile(request, env);
-      }
+/**
+ * Route a request to its handler (CORS headers are added by fetch).
+ */
+async function routeRequest(request, env) {
+  const url = new URL(request.url);
+  const path = url.pathname.replace(/\/$/, "");
+
+  // Handle preflight
+  if (request.method === "OPTIONS") {
+    return preflightResponse(request, env, findPreflightRoute(ROUTES, path, ["Content-Type", "Authorization"]));
+  }
+
+  try {
+    // Request Handler
+    const route = ROUTES[`${request.method} ${path}`];
+    if (!route) {
       return new Response("Not found", {
         status: 404,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
+    }
+
+    // Rate limit the route by client IP before spending any work on the access token
+    const ipRetryAfter = await checkRateLimit(env, path, [getClientIp(request)]);
+    if (ipRetryAfter !== null) {
+      return rateLimitedResponse(ipRetryAfter, JSON_HEADERS);
+    }
+
+    // Extract access token payload
+    let payload;
+    try {
+      payload = await getAccessTokenPayload(request, env);
     } catch (err) {
-      console.error("Unhandled error:", err);
-      return new Response(JSON.stringify({ error: "internal_error" }), {
-        status: 500,
-        headers: CORS_HEADERS
+      return new Response(JSON.stringify({ error: err.message }), {
+        status: err.message === "account_suspended" ? 403 : 401,
+        headers: JSON_HEADERS
+      });
+    }
+
+    // Check the access token grants the route's scope
+    if (!hasScope(payload, route.scope)) {
+      return new Response(JSON.stringify({ error: "insufficient_scope", required_scope: route.scope }), {
+        status: 403,
+        headers: JSON_HEADERS
       });
     }
+
+    // Rate limit the route by uuid
+    const retryAfter = await checkRateLimit(env, path, [`uuid:${payload.sub}`]);
+    if (retryAfter !== null) {
+      return rateLimitedResponse(retryAfter, JSON_HEADERS);
+    }
+
+    return await route.handler(request, env, payload);
+  } catch (err) {
+    console.error("Unhandled error:", err);
+    return new Response(JSON.stringify({ error: "internal_error" }), {
+      status: 500,
+      headers: JSON_HEADERS
+    });
   }
 }
 
@@ -90,18 +133,7 @@ export default {
  * Called by frontend to create a new resource.
  * Authorization: Bearer <access_token>
  */
-async function handleCreateResource(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleCreateResource(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -112,7 +144,7 @@ async function handleCreateResource(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -121,19 +153,19 @@ async function handleCreateResource(request, env) {
   if (!type || typeof type !== "string") {
     return new Response(JSON.stringify({ error: "invalid_type"}), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (!name || typeof name !== "string") {
     return new Response(JSON.stringify({ error: "invalid_name"}), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (description !== undefined && typeof description !== "string") {
     return new Response(JSON.stringify({ error: "invalid_description" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -146,14 +178,14 @@ async function handleCreateResource(request, env) {
   if (!user) {
     return new Response(JSON.stringify({ error: "user_not_found" }), {
       status: 404,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
   if (user.resources_created >= user.resources_limit) {
     return new Response(JSON.stringify({ error: "resource_limit_reached" }), {
       status: 403,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -170,14 +202,14 @@ async function handleCreateResource(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Resource has been created
   return new Response(JSON.stringify({ success: true }), {
     status: 201,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -186,18 +218,7 @@ async function handleCreateResource(request, env) {
  * Called by frontend to update an existing resource.
  * Authorization: Bearer <access_token>
  */
-async function handleUpdateResource(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleUpdateResource(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -208,7 +229,7 @@ async function handleUpdateResource(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -217,25 +238,25 @@ async function handleUpdateResource(request, env) {
   if (!resource_uuid || typeof resource_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_resource_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (name === undefined && description === undefined) {
     return new Response(JSON.stringify({ error: "invalid_fields" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (name !== undefined && typeof name !== "string") {
     return new Response(JSON.stringify({ error: "invalid_name" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (description !== undefined && typeof description !== "string") {
     return new Response(JSON.stringify({ error: "invalid_description" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -252,14 +273,14 @@ async function handleUpdateResource(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Resource has been updated
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -268,18 +289,7 @@ async function handleUpdateResource(request, env) {
  * Called by frontend to retrieve an existing resource.
  * Authorization: Bearer <access_token>
  */
-async function handleGetResource(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleGetResource(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -290,7 +300,7 @@ async function handleGetResource(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -299,7 +309,7 @@ async function handleGetResource(request, env) {
   if (!resource_uuid || typeof resource_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_resource_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -314,13 +324,13 @@ async function handleGetResource(request, env) {
 
     return new Response(JSON.stringify({ error: err.message }), {
       status,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
   return new Response(JSON.stringify(result), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -329,18 +339,7 @@ async function handleGetResource(request, env) {
  * Called by frontend to retrieve an existing resource.
  * Authorization: Bearer <access_token>
  */
-async function handleGetMyResources(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleGetMyResources(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -350,13 +349,13 @@ async function handleGetMyResources(request, env) {
   } catch (err) {
       return new Response(JSON.stringify({ error: err.message }), {
         status: 500,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   return new Response(JSON.stringify({ resources }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -365,18 +364,7 @@ async function handleGetMyResources(request, env) {
  * Called by frontend to delete an existing resource owner by the requester. Will also delete all associated files in R2 and D1.
  * Authorization: Bearer <access_token>
  */
-async function handleDeleteResource(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleDeleteResource(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -387,7 +375,7 @@ async function handleDeleteResource(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -396,7 +384,7 @@ async function handleDeleteResource(request, env) {
   if (!resource_uuid || typeof resource_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_resource_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -414,14 +402,14 @@ async function handleDeleteResource(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Resource has been deleted
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -430,18 +418,7 @@ async function handleDeleteResource(request, env) {
  * Called by frontend to create an invite code for a resource.
  * Authorization: Bearer <access_token>
  */
-async function handleCreateInvite(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleCreateInvite(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -452,7 +429,7 @@ async function handleCreateInvite(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -461,7 +438,7 @@ async function handleCreateInvite(request, env) {
   if (!resource_uuid || typeof resource_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_resource_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -480,14 +457,14 @@ async function handleCreateInvite(request, env) {
 
       return new Response(JSON.stringify({ error: err.message }), {
         status,
-        headers: CORS_HEADERS
+        headers: JSON_HEADERS
       });
   }
 
   // Invite has been created
   return new Response(JSON.stringify({ invite_code }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -496,18 +473,7 @@ async function handleCreateInvite(request, env) {
  * Called by frontend to delete an invite code for a resource.
  * Authorization: Bearer <access_token>
  */
-async function handleDeleteInvite(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleDeleteInvite(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -518,7 +484,7 @@ async function handleDeleteInvite(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -527,7 +493,7 @@ async function handleDeleteInvite(request, env) {
   if (!invite_code || typeof invite_code !== "string") {
     return new Response(JSON.stringify({ error: "invalid_invite_code" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -543,14 +509,14 @@ async function handleDeleteInvite(request, env) {
 
     return new Response(JSON.stringify({ error: err.message }), {
       status,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
   // Invite has been deleted
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -560,18 +526,7 @@ async function handleDeleteInvite(request, env) {
  * Authorization: Bearer <access_token>
  * Content-Type: multipart/form-data; boundary=<boundary>
  */
-async function handleUploadFile(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleUploadFile(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -586,7 +541,7 @@ async function handleUploadFile(request, env) {
   if (!content_type.includes("multipart/form-data")) {
     return new Response(JSON.stringify({ error: "invalid_content_type" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -618,14 +573,14 @@ async function handleUploadFile(request, env) {
 
     return new Response(JSON.stringify({ error: err.message }), {
       status,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
   // File has been uploaded
   return new Response(JSON.stringify({ success: true }), {
     status: 201,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
 
@@ -634,18 +589,7 @@ async function handleUploadFile(request, env) {
  * Called by frontend to delete an existing file if requester owns it.
  * Authorization: Bearer <access_token>
  */
-async function handleDeleteFile(request, env) {
-  // Extract access token payload
-  let payload;
-  try {
-    payload = await getAccessTokenPayload(request, env);
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-        status: 401,
-        headers: CORS_HEADERS
-    });
-  }
-
+async function handleDeleteFile(request, env, payload) {
   // Retrieve uuid
   const requester_uuid = payload.sub;
 
@@ -656,7 +600,7 @@ async function handleDeleteFile(request, env) {
   } catch {
     return new Response(JSON.stringify({ error: "invalid_json" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -665,13 +609,13 @@ async function handleDeleteFile(request, env) {
   if (!resource_uuid || typeof resource_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_resource_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
   if (!file_uuid || typeof file_uuid !== "string") {
     return new Response(JSON.stringify({ error: "invalid_file_uuid" }), {
       status: 400,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
@@ -688,13 +632,13 @@ async function handleDeleteFile(request, env) {
 
     return new Response(JSON.stringify({ error: err.message }), {
       status,
-      headers: CORS_HEADERS
+      headers: JSON_HEADERS
     });
   }
 
   // File has been deleted
   return new Response(JSON.stringify({ success: true }), {
     status: 200,
-    headers: CORS_HEADERS
+    headers: JSON_HEADERS
   });
 }
@@ -177,3 +177,38 @@ export async function deleteResource(env, resource_uuid, requester_uuid) {
     WHERE uuid = ? AND resources_created > 0
   `).bind(requester_uuid).run();
 }
+
+/**
+ * Account deletion step: remove everything resource-handler owns for a user.
+ * Runs after the packs step, so the resources are no longer linked into any pack.
+ * Safe to run again after a partial failure; R2 files are deleted before the resource row.
+ */
+export async function purgeUserResources(env, uuid) {
+  // Delete invites the user created
+  await env.PACKSYNCR_DB.prepare(`
+    DELETE FROM resource_invite_codes
+    WHERE creator_uuid = ?
+  `).bind(uuid).run();
+
+  // Delete every owned resource with its files
+  const { results } = await env.PACKSYNCR_DB.prepare(`
+    SELECT resource_uuid
+    FROM resources
+    WHERE owner_uuid = ?
+  `).bind(uuid).all();
+
+  for (const { resource_uuid } of results) {
+    await deleteResourceFiles(env, resource_uuid);
+
+    await env.PACKSYNCR_DB.batch([
+      env.PACKSYNCR_DB.prepare(`
+        DELETE FROM resource_invite_codes
+        WHERE resource_uuid = ?
+      `).bind(resource_uuid),
+      env.PACKSYNCR_DB.prepare(`
+        DELETE FROM resources
+        WHERE resource_uuid = ? AND owner_uuid = ?
+      `).bind(resource_uuid, uuid)
+    ]);
+  }
+}